@@ -0,0 +1,55 @@
+/**
+ * Crash-safe file replacement
+ *
+ * The new content goes to a temp file in the same directory, is fsynced and
+ * renamed over the target, so readers see either the old or the new file and
+ * never a half-written cli.js.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { EXIT } = require('./exit');
+
+/**
+ * Atomically replace a file, keeping the target's permissions
+ * @param {string} targetPath - File to replace (or create)
+ * @param {string|Buffer} content - New content
+ * @param {object} [options] - {mode: permissions when the target doesn't exist yet}
+ */
+function atomicWrite(targetPath, content, { mode = 0o644 } = {}) {
+  // Step 1: Preserve the original file permissions
+  const originalMode = fs.existsSync(targetPath) ? fs.statSync(targetPath).mode : mode;
+
+  // Step 2: Write to a temp file in the same directory
+  const tempPath = targetPath + '.tmp.' + crypto.randomBytes(4).toString('hex');
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Step 3: Restore original permissions on the temp file
+    fs.chmodSync(tempPath, originalMode);
+
+    // Step 4: Atomic rename
+    fs.renameSync(tempPath, targetPath);
+  } catch (e) {
+    fs.rmSync(tempPath, { force: true });
+    throw e;
+  }
+}
+
+// Run one write, exiting with WRITE_FAILED if it throws (atomicWrite leaves the target intact)
+function writeOrExit(target, write) {
+  try {
+    return write();
+  } catch (e) {
+    console.error(`❌ Could not write ${target}: ${e.message}`);
+    process.exit(EXIT.WRITE_FAILED);
+  }
+}
+
+module.exports = { atomicWrite, writeOrExit };
@@ -0,0 +1,222 @@
+/**
+ * Version-aware backup store
+ *
+ * Backups live in a .thinker-backups directory next to cli.js, one file per
+ * Claude Code version and content hash: cli-<version>-<sha256 prefix>.js
+ * A legacy single cli.js.backup is listed as it is and migrated into the store
+ * by the first run that writes (backup, restore, prune), so read-only commands
+ * work on an install they cannot write to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { atomicWrite } = require('./atomic');
+const { EXIT } = require('./exit');
+// The banner alone for a legacy backup, whose version isn't the installed package.json's
+const { getVersion, getInstalledVersion } = require('./version');
+
+const STORE_DIR = '.thinker-backups';
+const ENTRY_PATTERN = /^cli-(.+)-([0-9a-f]{12})\.js$/;
+
+function storeDir(cliPath) {
+  return path.join(path.dirname(cliPath), STORE_DIR);
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function entryPath(cliPath, version, hash) {
+  return path.join(storeDir(cliPath), `cli-${version}-${hash.slice(0, 12)}.js`);
+}
+
+/**
+ * Move a legacy cli.js.backup into the store, keyed by its own banner version
+ * @returns {string|null} New path, or null when there was nothing to migrate
+ */
+function migrateLegacyBackup(cliPath) {
+  const legacyPath = cliPath + '.backup';
+  if (!fs.existsSync(legacyPath)) return null;
+
+  const content = fs.readFileSync(legacyPath, 'utf8');
+  const target = entryPath(cliPath, getVersion(content), hashContent(content));
+  fs.mkdirSync(storeDir(cliPath), { recursive: true });
+  if (!fs.existsSync(target)) fs.renameSync(legacyPath, target);
+  else fs.unlinkSync(legacyPath);
+  return target;
+}
+
+// The legacy cli.js.backup as a store entry, without moving it
+function legacyEntry(cliPath) {
+  const legacyPath = cliPath + '.backup';
+  if (!fs.existsSync(legacyPath)) return null;
+  const content = fs.readFileSync(legacyPath, 'utf8');
+  const stats = fs.statSync(legacyPath);
+  return {
+    path: legacyPath,
+    file: path.basename(legacyPath),
+    version: getVersion(content),
+    hash: hashContent(content).slice(0, 12),
+    size: stats.size,
+    mtime: stats.mtime,
+    legacy: true,
+  };
+}
+
+/**
+ * List stored backups, newest first; reads only
+ * @returns {Array} [{path, file, version, hash, size, mtime, legacy}] - legacy marks a
+ *   cli.js.backup not yet migrated (when the store has no copy of it)
+ */
+function listBackups(cliPath) {
+  const dir = storeDir(cliPath);
+  const entries = !fs.existsSync(dir) ? [] : fs.readdirSync(dir)
+    .map(file => ({ file, match: ENTRY_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const fullPath = path.join(dir, file);
+      const stats = fs.statSync(fullPath);
+      return { path: fullPath, file, version: match[1], hash: match[2], size: stats.size, mtime: stats.mtime, legacy: false };
+    });
+  const legacy = legacyEntry(cliPath);
+  if (legacy && !entries.some(entry => entry.hash === legacy.hash)) entries.push(legacy);
+  return entries.sort((a, b) => b.mtime - a.mtime);
+}
+
+function findBackup(cliPath, version) {
+  return listBackups(cliPath).find(entry => entry.version === version) || null;
+}
+
+/**
+ * Back up the current cli.js unless this version is already stored
+ * The first backup of a version is assumed to be the unpatched original, so
+ * later (possibly patched) copies of the same version are not stored.
+ * @param {string} cliPath - Path to cli.js
+ * @param {string} content - Current cli.js content
+ * @param {string} version - Installed Claude Code version
+ * @returns {object} {path, created}
+ */
+function createBackup(cliPath, content, version) {
+  migrateLegacyBackup(cliPath);
+  const existing = version === 'unknown'
+    ? listBackups(cliPath).find(entry => entry.hash === hashContent(content).slice(0, 12))
+    : findBackup(cliPath, version);
+  if (existing) return { path: existing.path, created: false };
+
+  const target = entryPath(cliPath, version, hashContent(content));
+  fs.mkdirSync(storeDir(cliPath), { recursive: true });
+  atomicWrite(target, content, { mode: fs.statSync(cliPath).mode });
+  return { path: target, created: true };
+}
+
+/**
+ * Restore a stored backup over cli.js
+ * Refuses a backup whose version differs from the installed one unless forced,
+ * since that would silently downgrade (or upgrade) Claude Code.
+ * @param {string} cliPath - Path to cli.js
+ * @param {object} options - {installedVersion, version, force, dryRun}
+ * @returns {object} {ok, entry, error}
+ */
+function restoreBackup(cliPath, { installedVersion, version, force = false, dryRun = false }) {
+  const wanted = version || installedVersion;
+  if (!dryRun) migrateLegacyBackup(cliPath);
+  const entry = findBackup(cliPath, wanted);
+
+  if (!entry) {
+    const available = [...new Set(listBackups(cliPath).map(e => e.version))];
+    return {
+      ok: false,
+      error: `No backup for version ${wanted}` +
+        (available.length ? ` (available: ${available.join(', ')})` : ''),
+    };
+  }
+
+  if (entry.version !== installedVersion && !force) {
+    return {
+      ok: false,
+      entry,
+      error: `Backup is for version ${entry.version} but ${installedVersion} is installed. Use --force to restore anyway.`,
+    };
+  }
+
+  if (!dryRun) atomicWrite(cliPath, fs.readFileSync(entry.path));
+  return { ok: true, entry };
+}
+
+/**
+ * Delete backups that no longer match the installed version
+ * @param {string} cliPath - Path to cli.js
+ * @param {object} options - {installedVersion, keep: newest other-version backups to keep, dryRun}
+ * @returns {Array} Removed entries
+ */
+function pruneBackups(cliPath, { installedVersion, keep = 0, dryRun = false }) {
+  if (!dryRun) migrateLegacyBackup(cliPath);
+  const others = listBackups(cliPath).filter(entry => entry.version !== installedVersion);
+  const removed = others.slice(keep);
+  if (!dryRun) {
+    for (const entry of removed) fs.unlinkSync(entry.path);
+  }
+  return removed;
+}
+
+/**
+ * Restore the stored backup for a version over cli.js, reporting the outcome
+ * @param {string} cliPath - Path to cli.js
+ * @param {object} options - {installedVersion, version, force, dryRun}
+ * @returns {boolean} Whether the backup was (or would be) restored
+ */
+function restoreFromBackup(cliPath, options) {
+  const result = restoreBackup(cliPath, options);
+  if (!result.ok) {
+    console.error(`❌ ${result.error}`);
+    return false;
+  }
+  if (options.dryRun) {
+    console.log(`🔄 [DRY RUN] Would restore ${result.entry.file}`);
+  } else {
+    console.log(`✅ Restored ${result.entry.file}`);
+  }
+  return true;
+}
+
+// "backups list" and "backups prune"
+function runBackupsCommand(cliPath, action, options) {
+  const installedVersion = getInstalledVersion(cliPath, fs.readFileSync(cliPath, 'utf8')).version;
+  console.log(`📦 Installed version: ${installedVersion}\n`);
+
+  if (action === 'list') {
+    const entries = listBackups(cliPath);
+    if (entries.length === 0) {
+      console.log('   No backups stored.');
+      return EXIT.SUCCESS;
+    }
+    console.log(`💾 Backups in ${storeDir(cliPath)}:`);
+    for (const entry of entries) {
+      const current = entry.version === installedVersion ? '→' : ' ';
+      console.log(`   ${current} ${entry.version.padEnd(10)} ${entry.hash}  ${entry.mtime.toISOString()}  ${entry.file}`);
+    }
+    return EXIT.SUCCESS;
+  }
+
+  const removed = pruneBackups(cliPath, { installedVersion, keep: options.keep || 0, dryRun: options.dryRun });
+  for (const entry of removed) {
+    console.log(`   🗑️  ${entry.file}${options.dryRun ? ' [DRY RUN]' : ''}`);
+  }
+  console.log(`\n✅ ${removed.length} backup(s) ${options.dryRun ? 'would be ' : ''}removed`);
+  return EXIT.SUCCESS;
+}
+
+module.exports = {
+  STORE_DIR,
+  storeDir,
+  hashContent,
+  listBackups,
+  findBackup,
+  createBackup,
+  restoreBackup,
+  restoreFromBackup,
+  pruneBackups,
+  runBackupsCommand,
+  migrateLegacyBackup,
+};
@@ -0,0 +1,405 @@
+/**
+ * Command-line parsing shared by thinker.js and thinker-ast.js
+ *
+ * `thinker <command> [options]`. Each command declares the flags it accepts;
+ * values are validated, unknown flags are rejected with a suggestion, and
+ * `thinker <command> --help` prints that command's help. The older flag-only
+ * spellings (--restore, --check, --diff, --hook, --shadow, --list-installs)
+ * still select the matching command, so existing scripts keep working.
+ * Flags left out fall back to the user config (lib/config.js).
+ */
+
+const { THEME_PRESETS } = require('./themes');
+
+/**
+ * Every flag either engine understands, keyed by its command-line name
+ * type: 'boolean', 'string' or 'number'; optional: the value may be left out
+ * (`--wait` or `--wait=30`); engines: limit the flag to one engine.
+ */
+const FLAGS = {
+  'theme': { type: 'string', value: 'NAME', choices: Object.keys(THEME_PRESETS), help: 'Theme preset (see "themes")' },
+  'color': { type: 'string', value: 'COLOR', help: 'Header color, and content color unless --content-color is given' },
+  'content-color': { type: 'string', value: 'COLOR', help: 'Thinking content color' },
+  'only': { type: 'string', value: 'IDS', help: 'Apply only these patches (comma-separated ids)' },
+  'skip': { type: 'string', value: 'IDS', help: 'Apply every patch except these' },
+  'dry-run': { type: 'boolean', help: 'Show what would happen without writing anything' },
+  'out': { type: 'string', value: 'FILE', help: 'Write the result to FILE ("-" for stdout); cli.js is left alone' },
+  'force': { type: 'boolean', help: 'Write while sessions run; restore another version\'s backup' },
+  'wait': { type: 'number', optional: true, value: 'SECONDS', help: 'Wait for running Claude Code sessions to exit (no limit without a value)' },
+  'smoke': { type: 'string', optional: true, value: 'help', choices: ['help'], help: 'Launch cli.js --version (and --help with =help) after writing; roll back on failure' },
+  'smoke-timeout': { type: 'number', value: 'SECONDS', help: 'Time limit for each smoke launch' },
+  'emit-patch': { type: 'string', value: 'FILE', help: 'Also write the change as a unified patch for `patch -p0`' },
+  'keep': { type: 'number', integer: true, value: 'N', help: 'Keep the N newest backups of other versions' },
+  'bin-dir': { type: 'string', value: 'DIR', help: 'Where to write the claude shim (default ~/.local/bin)' },
+  'sync': { type: 'boolean', help: 'Re-sync the existing private copy with its recorded options' },
+  'cli-path': { type: 'string', value: 'FILE', env: 'THINKER_CLI_PATH', help: 'Target this cli.js ("-" for stdin) instead of searching ($THINKER_CLI_PATH)' },
+  'all': { type: 'boolean', help: 'Run against every discovered install, one process each' },
+  'json': { type: 'boolean', help: 'Print a JSON report on stdout; messages go to stderr' },
+  'engine': { type: 'string', value: 'ENGINE', choices: ['auto', 'regex', 'ast', 'both'], engines: ['regex'], help: 'Patch engine: auto (default; ast when it patches everything regex would), regex, ast, or both (write only if they agree)' },
+  'prefer': { type: 'string', value: 'ENGINE', choices: ['regex', 'ast'], engines: ['regex'], help: 'With --engine=both: write this engine\'s output even if the engines disagree' },
+  'repatch': { type: 'boolean', help: 'Reverse the recorded patch in memory and patch the original (e.g. to switch engines)' },
+  'debug': { type: 'boolean', engines: ['ast'], help: 'Log detector internals' },
+  'help': { type: 'boolean', help: 'Show this help' },
+};
+
+const COLOR_FLAGS = ['theme', 'color', 'content-color', 'only', 'skip'];
+const TARGET_FLAGS = ['cli-path', 'all', 'json'];
+const WRITE_FLAGS = ['dry-run', 'force', 'wait'];
+
+// Config defaults apply per group: giving any flag of a group on the command line
+// overrides the whole group, so `--color=red` isn't mixed with a configured theme
+const DEFAULT_GROUPS = [['theme', 'color', 'content-color'], ['only', 'skip'], ['engine']];
+
+/**
+ * Subcommands; args/positionals describe what may follow the command name,
+ * details is extra text for the command's help
+ */
+const COMMANDS = {
+  patch: {
+    summary: 'Apply the patches (the default command)',
+    flags: [...COLOR_FLAGS, ...WRITE_FLAGS, 'out', 'smoke', 'smoke-timeout', 'engine', 'prefer', 'repatch', ...TARGET_FLAGS],
+  },
+  reapply: {
+    summary: 'Patch again with the options of the last successful patch',
+    details: 'Meant for a post-update hook: same options, engine and target(s) as the last patch that wrote\n' +
+      'cli.js. Exits 4 when the patch is still in place.',
+    engines: ['regex'],
+    flags: [...WRITE_FLAGS, 'smoke', 'smoke-timeout', 'json'],
+  },
+  check: {
+    summary: 'Report whether the install can be patched',
+    flags: [...COLOR_FLAGS, 'engine', 'repatch', ...TARGET_FLAGS],
+  },
+  diff: {
+    summary: 'Show each region the patch would edit, without writing',
+    flags: [...COLOR_FLAGS, 'emit-patch', 'engine', 'prefer', 'repatch', 'cli-path', 'json'],
+  },
+  'extract-fixture': {
+    summary: 'Cut the thinking code out of cli.js into a small standalone fixture',
+    details: 'Keeps the functions around the thinking anchors, each under a comment with its byte range in\n' +
+      'cli.js, for a bug report or test/fixtures. Writes to stdout unless --out is given. Needs acorn.',
+    engines: ['regex'],
+    flags: ['out', 'cli-path', 'json'],
+  },
+  restore: {
+    summary: 'Restore the stored backup of the installed version (or VERSION)',
+    args: '[VERSION]',
+    positionals: 1,
+    flags: [...WRITE_FLAGS, ...TARGET_FLAGS],
+  },
+  unpatch: {
+    summary: 'Reverse the edits recorded in the patch marker (no backup needed)',
+    flags: [...WRITE_FLAGS, 'out', ...TARGET_FLAGS],
+  },
+  status: {
+    summary: 'Show what the embedded patch marker records',
+    flags: [...TARGET_FLAGS],
+  },
+  backups: {
+    summary: 'List stored backups, or prune those of other versions',
+    args: '[list|prune]',
+    positionals: 1,
+    choices: ['list', 'prune'],
+    flags: ['keep', 'dry-run', 'cli-path', 'json'],
+  },
+  installs: {
+    summary: 'List every Claude Code install with its version and patch state',
+    flags: ['json'],
+  },
+  themes: {
+    summary: 'Preview the theme and color presets',
+    flags: [],
+  },
+  doctor: {
+    summary: 'Check the environment and every install for problems',
+    flags: ['cli-path', 'json'],
+  },
+  hook: {
+    summary: 'Print shell setup for in-memory patching (thinker-hook.js)',
+    engines: ['regex'],
+    flags: [...COLOR_FLAGS],
+  },
+  shadow: {
+    summary: 'Patch a private copy of Claude Code and install a claude shim',
+    engines: ['regex'],
+    flags: [...COLOR_FLAGS, 'bin-dir', 'sync'],
+  },
+  config: {
+    summary: 'Show or change the defaults in the config file',
+    details: 'Keys: theme, color, content-color, only, skip, engine. Flags given on the command line win;\n' +
+      'any one of theme/color/content-color replaces all three defaults.\n' +
+      'File: $XDG_CONFIG_HOME/thinker/config.json (default ~/.config/thinker/config.json)',
+    args: '[get [KEY] | set KEY VALUE | unset KEY]',
+    positionals: 3,
+    choices: ['get', 'set', 'unset'],
+    engines: ['regex'],
+    flags: [],
+  },
+  help: {
+    summary: 'Show help for a command',
+    args: '[COMMAND]',
+    positionals: 1,
+    flags: [],
+  },
+};
+
+// Pre-subcommand spellings; each selects a command when no command is given
+const LEGACY_FLAGS = {
+  'restore': { command: 'restore', positional: true },
+  'check': { command: 'check' },
+  'diff': { command: 'diff' },
+  'emit-patch': { command: 'diff', keep: true },
+  'hook': { command: 'hook' },
+  'shadow': { command: 'shadow' },
+  'shadow-sync': { command: 'shadow', sync: true },
+  'list-installs': { command: 'installs' },
+};
+
+const available = (entry, engine) => !entry.engines || entry.engines.includes(engine);
+
+// --content-color -> contentColor
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest candidate to a mistyped word, or null when nothing is close
+ * @param {string} word - What was typed
+ * @param {Array} candidates - Valid spellings
+ * @returns {string|null}
+ */
+function suggest(word, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = candidate.startsWith(word) ? 1 : editDistance(word, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(word.length / 3)) ? best : null;
+}
+
+function commandFlags(command, engine) {
+  return [...COMMANDS[command].flags, 'debug', 'help'].filter(name => available(FLAGS[name], engine));
+}
+
+function commandNames(engine) {
+  return Object.keys(COMMANDS).filter(name => available(COMMANDS[name], engine));
+}
+
+// Parse and validate one flag value
+function convertValue(name, spec, raw) {
+  if (spec.type === 'number') {
+    const number = Number(raw);
+    if (raw === '' || !Number.isFinite(number) || number < 0 || (spec.integer && !Number.isInteger(number))) {
+      return { error: `--${name} expects ${spec.integer ? 'a whole number' : 'a number'}, got "${raw}"` };
+    }
+    return { value: number };
+  }
+  if (spec.choices && !spec.choices.includes(raw)) {
+    const hint = suggest(raw, spec.choices);
+    return { error: `Invalid --${name} "${raw}"${hint ? `. Did you mean "${hint}"?` : ` (choose from ${spec.choices.join(', ')})`}` };
+  }
+  return { value: raw };
+}
+
+/**
+ * Parse a command line
+ * @param {Array} argv - Arguments after the script name
+ * @param {object} options - {engine: 'regex' or 'ast', env: defaults for env-backed flags,
+ *   defaults: config values keyed by flag name, see DEFAULT_GROUPS}
+ * @returns {object} {ok, error, command, explicit, options, positionals} - options keyed in camelCase;
+ *   flags not given are false (booleans) or null, optional flags given without a value are true
+ */
+function parse(argv, { engine, env = process.env, defaults = {} } = {}) {
+  const fail = (error, command = null) => ({ ok: false, error, command, explicit: !!command, options: {}, positionals: [] });
+  const tokens = [...argv];
+  let command = null;
+  const positionals = [];
+  const extra = {};
+
+  if (tokens.length > 0 && !tokens[0].startsWith('-')) {
+    command = tokens.shift();
+    if (!COMMANDS[command] || !available(COMMANDS[command], engine)) {
+      const hint = suggest(command, commandNames(engine));
+      return fail(`Unknown command "${command}"${hint ? `. Did you mean "${hint}"?` : ''}`);
+    }
+  } else {
+    for (let i = 0; i < tokens.length; i++) {
+      const [name, value] = splitFlag(tokens[i]);
+      const legacy = name && LEGACY_FLAGS[name];
+      if (!legacy || !available(COMMANDS[legacy.command], engine)) continue;
+      if (command && command !== legacy.command) {
+        return fail(`--${name} can't be combined with the "${command}" command`);
+      }
+      command = legacy.command;
+      if (legacy.sync) extra.sync = true;
+      if (legacy.positional && value !== undefined) positionals.push(value);
+      if (!legacy.keep) tokens.splice(i--, 1);
+    }
+  }
+
+  const explicit = command !== null;
+  command = command || 'patch';
+  const allowed = commandFlags(command, engine);
+  const options = {};
+  for (const name of allowed) {
+    const spec = FLAGS[name];
+    options[camelCase(name)] = spec.env && env[spec.env] ? env[spec.env] : spec.type === 'boolean' ? false : null;
+  }
+  Object.assign(options, extra);
+  const given = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!token.startsWith('--')) {
+      positionals.push(token);
+      continue;
+    }
+
+    const [name, inline] = splitFlag(token);
+    const spec = FLAGS[name];
+    if (!spec || !allowed.includes(name)) {
+      if (LEGACY_FLAGS[name] && available(COMMANDS[LEGACY_FLAGS[name].command], engine)) {
+        return fail(`--${name} can't be combined with the "${command}" command`, command);
+      }
+      if (spec && available(spec, engine)) {
+        return fail(`--${name} is not an option of "${command}"`, command);
+      }
+      const hint = suggest(name, allowed);
+      return fail(`Unknown option --${name}${hint ? `. Did you mean --${hint}?` : ''}`, command);
+    }
+
+    let raw = inline;
+    if (spec.type === 'boolean') {
+      if (raw !== undefined) return fail(`--${name} doesn't take a value`, command);
+      options[camelCase(name)] = true;
+      continue;
+    }
+    if (raw === undefined && !spec.optional && i + 1 < tokens.length && !tokens[i + 1].startsWith('--')) {
+      raw = tokens[++i];
+    }
+    if (raw === undefined) {
+      if (!spec.optional) return fail(`--${name} needs a value (--${name}=${spec.value})`, command);
+      options[camelCase(name)] = true;
+      continue;
+    }
+    const { value, error } = convertValue(name, spec, raw);
+    if (error) return fail(error, command);
+    options[camelCase(name)] = value;
+    given.add(name);
+  }
+
+  for (const group of DEFAULT_GROUPS) {
+    if (group.some(name => given.has(name))) continue;
+    for (const name of group.filter(name => allowed.includes(name) && defaults[name] !== undefined)) {
+      const { value, error } = convertValue(name, FLAGS[name], String(defaults[name]));
+      if (error) return fail(`In the config file: ${error}`, command);
+      options[camelCase(name)] = value;
+    }
+  }
+
+  const def = COMMANDS[command];
+  if (positionals.length > (def.positionals || 0)) {
+    return fail(`Unexpected argument "${positionals[def.positionals || 0]}" for "${command}"`, command);
+  }
+  if (def.choices && positionals.length > 0 && !def.choices.includes(positionals[0])) {
+    const hint = suggest(positionals[0], def.choices);
+    return fail(`Unknown ${command} action "${positionals[0]}"${hint ? `. Did you mean "${hint}"?` : ` (use ${def.choices.join(' or ')})`}`, command);
+  }
+  if (command === 'help' && positionals.length > 0 && !commandNames(engine).includes(positionals[0])) {
+    const hint = suggest(positionals[0], commandNames(engine));
+    return fail(`Unknown command "${positionals[0]}"${hint ? `. Did you mean "${hint}"?` : ''}`);
+  }
+
+  return { ok: true, error: null, command, explicit, options, positionals };
+}
+
+// "--color=x=y" -> ['color', 'x=y']; "--dry-run" -> ['dry-run', undefined]; non-flags -> [null]
+function splitFlag(token) {
+  if (!token.startsWith('--')) return [null];
+  const equals = token.indexOf('=');
+  return equals === -1 ? [token.slice(2), undefined] : [token.slice(2, equals), token.slice(equals + 1)];
+}
+
+function flagUsage(name) {
+  const spec = FLAGS[name];
+  if (spec.type === 'boolean') return `--${name}`;
+  return spec.optional ? `--${name}[=${spec.value}]` : `--${name}=${spec.value}`;
+}
+
+/**
+ * Help for one command
+ * @param {string} command - Command name
+ * @param {object} options - {engine, program: how to invoke the script}
+ * @returns {string}
+ */
+function formatCommandHelp(command, { engine, program }) {
+  const def = COMMANDS[command];
+  const flags = commandFlags(command, engine);
+  const width = Math.max(...flags.map(name => flagUsage(name).length)) + 2;
+  const lines = [
+    `Usage: ${program} ${command}${def.args ? ` ${def.args}` : ''}${flags.length > 0 ? ' [options]' : ''}`,
+    '',
+    def.summary,
+  ];
+  if (def.details) lines.push('', def.details);
+  if (flags.length > 0) {
+    lines.push('', 'Options:');
+    for (const name of flags) lines.push(`  ${flagUsage(name).padEnd(width)}${FLAGS[name].help}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The command list for the top-level help
+ * @param {object} options - {engine, program}
+ * @returns {string}
+ */
+function formatCommands({ engine, program }) {
+  const names = commandNames(engine);
+  const width = Math.max(...names.map(name => name.length)) + 2;
+  return [
+    `Usage: ${program} <command> [options]`,
+    '',
+    'Commands:',
+    ...names.map(name => `  ${name.padEnd(width)}${COMMANDS[name].summary}`),
+    '',
+    `Run "${program} <command> --help" for a command's options.`,
+  ].join('\n');
+}
+
+// Remove a flag (--name and --name=value, or --name value) from an argument list
+function stripFlag(argv, name) {
+  const stripped = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}`) {
+      if (FLAGS[name].type !== 'boolean' && i + 1 < argv.length && !argv[i + 1].startsWith('--')) i++;
+      continue;
+    }
+    if (!argv[i].startsWith(`--${name}=`)) stripped.push(argv[i]);
+  }
+  return stripped;
+}
+
+module.exports = { FLAGS, COMMANDS, parse, suggest, stripFlag, formatCommandHelp, formatCommands };
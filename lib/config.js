@@ -0,0 +1,121 @@
+/**
+ * User config: ~/.config/thinker/config.json ($XDG_CONFIG_HOME/thinker/config.json)
+ *
+ * Holds defaults for the color and selection flags and the engine, keyed by
+ * their command-line names, plus the options of the last successful in-place
+ * patch so `thinker reapply` can repeat it after a Claude Code update:
+ *
+ *   { "theme": "watermelon", "skip": "collapsedView", "engine": "regex",
+ *     "last": { "engine": "regex", "options": { "theme": "watermelon" },
+ *               "cliPath": null, "all": false, "version": "2.1.69", "timestamp": "..." } }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { atomicWrite } = require('./atomic');
+
+// Keys `thinker config set` accepts; all but engine are flag defaults for both engines
+const KEYS = ['theme', 'color', 'content-color', 'only', 'skip', 'engine'];
+
+// The options recorded for reapply
+const PATCH_OPTIONS = ['theme', 'color', 'content-color', 'only', 'skip', 'prefer'];
+
+function configPath(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'thinker', 'config.json');
+}
+
+/**
+ * Read the config file
+ * @returns {object} Parsed config, {} when there is none
+ * @throws {Error} If the file exists but isn't a JSON object
+ */
+function readConfig(file = configPath()) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file} must hold a JSON object`);
+  }
+  return config;
+}
+
+function writeConfig(config, file = configPath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  atomicWrite(file, JSON.stringify(config, null, 2) + '\n');
+}
+
+// Flag defaults for cli.parse(): the config minus bookkeeping
+function flagDefaults(config) {
+  return Object.fromEntries(KEYS.filter(key => typeof config[key] === 'string').map(key => [key, config[key]]));
+}
+
+/**
+ * Remember a successful patch for `thinker reapply`
+ * @param {object} options - Parsed options (camelCase, as returned by cli.parse())
+ * @param {object} run - {engine, version, cliPath: explicitly targeted cli.js or null}
+ */
+function recordLastPatch(options, { engine, version, cliPath }) {
+  const config = readConfig();
+  const recorded = {};
+  for (const key of PATCH_OPTIONS) {
+    const value = options[key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())];
+    if (value) recorded[key] = value;
+  }
+  config.last = { engine, options: recorded, cliPath, all: false, version, timestamp: new Date().toISOString() };
+  writeConfig(config);
+}
+
+/**
+ * recordLastPatch() for a patch run; failing to record doesn't fail the patch
+ * @param {object} options - Parsed options; autoEngine records "auto" so reapply chooses again
+ * @param {object} run - {engine: the engine that patched, version}
+ */
+function rememberPatch(options, { engine, version }) {
+  try {
+    const cliPath = options.cliPath ? path.resolve(options.cliPath) : null;
+    recordLastPatch(options, { engine: options.autoEngine ? 'auto' : engine, version, cliPath });
+  } catch (e) {
+    console.log(`⚠️  Could not record the options for reapply: ${e.message}`);
+  }
+}
+
+// After `patch --all`, record that reapply should cover every install again
+function markLastPatchAll() {
+  const config = readConfig();
+  if (!config.last) return;
+  config.last.cliPath = null;
+  config.last.all = true;
+  writeConfig(config);
+}
+
+/**
+ * Arguments for thinker.js that repeat the last successful patch
+ * The engine is always given, so a later "engine" default doesn't switch it.
+ * @returns {Array|null} null when nothing was recorded
+ */
+function reapplyArgs(config) {
+  const { last } = config;
+  if (!last || !last.options) return null;
+  const args = ['patch'];
+  for (const key of PATCH_OPTIONS) {
+    if (last.options[key]) args.push(`--${key}=${last.options[key]}`);
+  }
+  if (last.cliPath) args.push(`--cli-path=${last.cliPath}`);
+  if (last.all) args.push('--all');
+  args.push(`--engine=${last.engine}`);
+  return args;
+}
+
+module.exports = { KEYS, configPath, readConfig, writeConfig, flagDefaults, recordLastPatch, rememberPatch, markLastPatchAll, reapplyArgs };
@@ -0,0 +1,244 @@
+/**
+ * Reviewable diffs of a patch run
+ *
+ * "thinker diff" prints each edited region of the (minified) cli.js pretty-printed
+ * with some surrounding context; --emit-patch writes a standard unified diff
+ * that `patch -p0` applies.
+ */
+
+const path = require('path');
+const { applyEdits } = require('./manifest');
+
+// Characters of minified source shown around each edit in "diff"
+const REGION_CONTEXT = 160;
+// Lines of context per hunk in --emit-patch
+const PATCH_CONTEXT = 3;
+
+/**
+ * Myers diff over two arrays of lines
+ * Patches touch a few lines of a large file, so the O((N+M)D) search stays cheap.
+ * @returns {Array} [{type: ' '|'-'|'+', line}]
+ */
+function lineDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v for diagonals -d..d after round d
+  const trace = [];
+  let rounds = -1;
+
+  search:
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        rounds = d;
+        break search;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = rounds; d > 0; d--) {
+    const prev = trace[d - 1];
+    const at = (k) => prev[k + d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) ops.push({ type: '+', line: b[--y] });
+    else ops.push({ type: '-', line: a[--x] });
+  }
+  while (x > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+// Split into lines that keep their "\n", so a missing final newline is a difference
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function patchLine(prefix, line) {
+  return line.endsWith('\n')
+    ? prefix + line
+    : `${prefix}${line}\n\\ No newline at end of file\n`;
+}
+
+/**
+ * Build a unified diff of two versions of one file
+ * @param {string} oldText - Content before patching
+ * @param {string} newText - Content after patching
+ * @param {object} options - {file: path written in the ---/+++ headers, context}
+ * @returns {string} Unified diff, or '' when the texts are identical
+ */
+function unifiedPatch(oldText, newText, { file, context = PATCH_CONTEXT }) {
+  const ops = lineDiff(splitLines(oldText), splitLines(newText));
+
+  // Line numbers before each op, for the hunk headers
+  let oldLine = 0;
+  let newLine = 0;
+  const positioned = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const changes = positioned.map((op, i) => (op.type === ' ' ? -1 : i)).filter(i => i >= 0);
+  if (changes.length === 0) return '';
+
+  let out = `--- ${file}\n+++ ${file}\n`;
+  let first = 0;
+  while (first < changes.length) {
+    let last = first;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= 2 * context) last++;
+
+    const start = Math.max(0, changes[first] - context);
+    const end = Math.min(positioned.length, changes[last] + context + 1);
+    const hunk = positioned.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? hunk[0].oldLine + 1 : hunk[0].oldLine;
+    const newStart = newCount ? hunk[0].newLine + 1 : hunk[0].newLine;
+
+    out += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    for (const op of hunk) out += patchLine(op.type, op.line);
+    first = last + 1;
+  }
+  return out;
+}
+
+/**
+ * Break minified code into readable lines: after ; and {, before } and after a } that ends a statement
+ * String and template literals are copied through untouched.
+ */
+function prettyPrint(code) {
+  let out = '';
+  let depth = 0;
+  let quote = null;
+  const newline = () => '\n' + '  '.repeat(depth);
+
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (quote) {
+      out += ch;
+      if (ch === '\\') out += code[++i] || '';
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+      out += ch;
+    } else if (ch === '{') {
+      depth++;
+      out += '{' + newline();
+    } else if (ch === '}') {
+      depth = Math.max(0, depth - 1);
+      out = out.trimEnd() + newline() + '}';
+      if (/[\w$]/.test(code[i + 1] || '')) out += newline();
+    } else if (ch === ';') {
+      out += ';' + newline();
+    } else {
+      out += ch;
+    }
+  }
+
+  return out.split('\n').map(line => line.trimEnd()).filter(line => line.trim()).join('\n');
+}
+
+// Widen [start, end) by the context, snapped to statement or block boundaries
+function regionBounds(content, start, end, context) {
+  let from = Math.max(0, start - context);
+  let to = Math.min(content.length, end + context);
+  const head = content.slice(from, start).search(/[;{}]/);
+  if (from > 0 && head >= 0) from += head + 1;
+  const tail = Math.max(...[';', '{', '}'].map(ch => content.slice(end, to).lastIndexOf(ch)));
+  if (to < content.length && tail >= 0) to = end + tail + 1;
+  return { from, to };
+}
+
+/**
+ * Group edits into regions and diff each region's pretty-printed source
+ * @param {string} content - Content the edits apply to
+ * @param {Array} edits - [{offset, original, replacement}]
+ * @param {number} [context] - Characters of source around each edit
+ * @returns {Array} [{from, to, line, ops}] - line is the 1-based line of `from` in content
+ */
+function regionDiffs(content, edits, context = REGION_CONTEXT) {
+  const sorted = [...edits].sort((a, b) => a.offset - b.offset);
+  const groups = [];
+  for (const edit of sorted) {
+    const group = groups[groups.length - 1];
+    const end = edit.offset + edit.original.length;
+    if (group && edit.offset - group.end <= 2 * context) {
+      group.edits.push(edit);
+      group.end = Math.max(group.end, end);
+    } else {
+      groups.push({ start: edit.offset, end, edits: [edit] });
+    }
+  }
+
+  return groups.map(group => {
+    const { from, to } = regionBounds(content, group.start, group.end, context);
+    const after = applyEdits(content.slice(from, to), group.edits.map(edit => ({ ...edit, offset: edit.offset - from })));
+    const before = prettyPrint(content.slice(from, to)).split('\n');
+    return {
+      from,
+      to,
+      line: content.slice(0, from).split('\n').length,
+      ops: lineDiff(before, prettyPrint(after).split('\n')),
+    };
+  });
+}
+
+/**
+ * Render regionDiffs() for the terminal
+ * @param {string} file - Name shown in region headers
+ */
+function formatRegionDiffs(file, regions) {
+  return regions.map(region => [
+    `@@ ${file}:${region.line} (offset ${region.from}-${region.to}) @@`,
+    ...region.ops.map(op => `${op.type} ${op.line}`),
+  ].join('\n')).join('\n\n');
+}
+
+/**
+ * Path to put in an emitted patch and the directory to run `patch -p0` from
+ * Uses the path relative to cwd when cli.js is below it, otherwise the file name.
+ */
+function patchTarget(cliPath, cwd = process.cwd()) {
+  const relative = path.relative(cwd, cliPath);
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return { file: relative, dir: cwd };
+  }
+  return { file: path.basename(cliPath), dir: path.dirname(cliPath) };
+}
+
+module.exports = {
+  lineDiff,
+  unifiedPatch,
+  prettyPrint,
+  regionDiffs,
+  formatRegionDiffs,
+  patchTarget,
+};
@@ -0,0 +1,173 @@
+/**
+ * "thinker doctor": environment and per-install diagnostics
+ *
+ * Collects everything that tends to go wrong before a patch run: an old Node,
+ * missing AST dependencies, a read-only install directory, a leftover lock or
+ * temp file, sessions that would block the write, and a patch that no longer
+ * matches its marker. Each finding is {level: 'ok'|'warn'|'fail', subject, message}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const backups = require('./backups');
+const installs = require('./installs');
+const io = require('./io');
+const lock = require('./lock');
+const sessions = require('./processes');
+const shadow = require('./shadow');
+const report = require('./report');
+const { EXIT } = require('./exit');
+
+const MIN_NODE_MAJOR = 16;
+const AST_DEPENDENCIES = ['acorn', 'acorn-walk', 'magic-string'];
+
+function environmentChecks() {
+  const checks = [];
+  const add = (level, message) => checks.push({ level, subject: 'environment', message });
+
+  const major = parseInt(process.versions.node, 10);
+  add(major >= MIN_NODE_MAJOR ? 'ok' : 'fail', `Node ${process.versions.node}${major >= MIN_NODE_MAJOR ? '' : ` (need ${MIN_NODE_MAJOR}+)`}`);
+
+  const missing = AST_DEPENDENCIES.filter(name => {
+    try {
+      require.resolve(name, { paths: [path.join(__dirname, '..')] });
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+  if (missing.length === 0) {
+    add('ok', 'AST engine dependencies installed');
+  } else {
+    add('warn', `AST engine unavailable, missing ${missing.join(', ')} (run npm install)`);
+  }
+
+  if ((process.env.NODE_OPTIONS || '').includes('thinker-hook')) {
+    add('ok', 'In-memory hook active in NODE_OPTIONS');
+  }
+
+  const stamp = shadow.readStamp();
+  if (stamp) {
+    add(shadow.isStale(stamp) ? 'warn' : 'ok',
+      `Shadow copy of ${stamp.upstream}${shadow.isStale(stamp) ? ' is stale; it re-syncs on the next claude start' : ''}`);
+  }
+  return checks;
+}
+
+/**
+ * Diagnose one install
+ * @param {string} cliPath - Path to cli.js
+ * @param {function} inspect - (cliPath, content) => {version, state, support?: {status, reason}};
+ *   state is one of markers.inspectMarker()'s, or 'unparsable'
+ * @returns {Array} Findings
+ */
+function installChecks(cliPath, inspect) {
+  const checks = [];
+  const add = (level, message) => checks.push({ level, subject: cliPath, message });
+  const dir = path.dirname(cliPath);
+
+  let content;
+  try {
+    content = fs.readFileSync(cliPath, 'utf8');
+  } catch (e) {
+    add('fail', e.code === 'ENOENT' ? 'Does not exist' : `Cannot read cli.js: ${e.message}`);
+    return checks;
+  }
+
+  const { version, state, support } = inspect(cliPath, content);
+  add({ modified: 'warn', unparsable: 'fail' }[state] || 'ok', {
+    pristine: `Version ${version}, not patched`,
+    patched: `Version ${version}, patched`,
+    modified: `Version ${version}, changed since thinker patched it (run "thinker status")`,
+    foreign: `Version ${version}, patched without a thinker marker`,
+    unparsable: `Version ${version}, does not parse as JavaScript`,
+  }[state]);
+  if (support && support.status === 'untested') add('warn', `Untested version: ${support.reason}`);
+
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+    add('ok', 'Install directory is writable');
+  } catch (e) {
+    add('fail', `${dir} is not writable; use sudo, or "thinker shadow" to patch a private copy`);
+  }
+
+  if (fs.existsSync(lock.lockPath(cliPath))) {
+    add('warn', `Lock file present: ${lock.lockPath(cliPath)} (another run, or left by a crash; taken over when stale)`);
+  }
+
+  const leftovers = fs.readdirSync(dir).filter(name => name.startsWith(`${path.basename(cliPath)}.tmp.`));
+  if (leftovers.length > 0) {
+    add('warn', `Leftover temp file(s) from an interrupted write: ${leftovers.join(', ')}`);
+  }
+
+  const { supported, processes } = sessions.findCliProcesses(cliPath);
+  if (!supported) {
+    add('warn', 'Cannot check for running sessions on this platform');
+  } else if (processes.length > 0) {
+    add('warn', `Claude Code running (${sessions.describePids(processes)}); patching waits or needs --force`);
+  }
+
+  const stored = backups.listBackups(cliPath);
+  const current = stored.filter(entry => entry.version === version);
+  add(state === 'pristine' || current.length > 0 ? 'ok' : 'warn',
+    `${stored.length} backup(s) stored${current.length > 0 || state === 'pristine' ? '' : `, none for ${version} (restore unavailable; "thinker unpatch" still works)`}`);
+
+  return checks;
+}
+
+/**
+ * Run every check
+ * @param {Array} targets - [{cliPath}] to diagnose
+ * @param {object} options - {inspect: see installChecks()}
+ * @returns {Array} Findings, environment first
+ */
+function diagnose(targets, { inspect }) {
+  const checks = environmentChecks();
+  if (targets.length === 0) {
+    checks.push({ level: 'fail', subject: 'installs', message: 'No Claude Code installation found' });
+  }
+  for (const { cliPath } of targets) checks.push(...installChecks(cliPath, inspect));
+  return checks;
+}
+
+const ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+
+// Findings grouped under their subject
+function formatChecks(checks) {
+  const lines = [];
+  let subject = null;
+  for (const check of checks) {
+    if (check.subject !== subject) {
+      subject = check.subject;
+      lines.push(`${lines.length > 0 ? '\n' : ''}🩺 ${subject}`);
+    }
+    lines.push(`   ${ICONS[check.level]} ${check.message}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * "doctor": diagnose the environment and each install without touching anything
+ * @param {object} options - Parsed options ({cliPath})
+ * @param {function} inspect - The engine's reader, see installChecks()
+ * @returns {number} Exit code
+ */
+function runDoctor(options, inspect) {
+  if (options.cliPath === io.STDIO) {
+    console.error('❌ doctor needs a cli.js file, not stdin');
+    return EXIT.GENERAL_ERROR;
+  }
+  const targets = options.cliPath ? [{ cliPath: path.resolve(options.cliPath) }] : installs.discoverInstalls();
+  const checks = diagnose(targets, { inspect });
+
+  console.log(formatChecks(checks));
+  report.set({ checks });
+
+  const failures = checks.filter(check => check.level === 'fail').length;
+  const warnings = checks.filter(check => check.level === 'warn').length;
+  console.log(`\n${failures ? '❌' : warnings ? '⚠️ ' : '✅'} ${failures} problem(s), ${warnings} warning(s)`);
+  if (!targets.some(({ cliPath }) => fs.existsSync(cliPath))) return EXIT.NOT_FOUND;
+  return failures ? EXIT.GENERAL_ERROR : EXIT.SUCCESS;
+}
+
+module.exports = { AST_DEPENDENCIES, diagnose, formatChecks, runDoctor };
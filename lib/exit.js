@@ -0,0 +1,30 @@
+/**
+ * Exit codes shared by thinker.js and thinker-ast.js
+ *
+ * CI jobs and dotfile installers branch on these, so both engines exit with
+ * the same code for the same outcome. Values are part of the public contract:
+ * add new codes at the end, never renumber.
+ */
+
+const EXIT = {
+  SUCCESS: 0,
+  GENERAL_ERROR: 1,
+  // A detector matched more than one candidate (AST engine)
+  AMBIGUOUS: 2,
+  // Patched output failed the syntax/re-detection check or the smoke test; nothing kept
+  VERIFICATION_FAILED: 3,
+  // Every selected patch is already in place
+  ALREADY_PATCHED: 4,
+  // No Claude Code install found, or --cli-path does not exist
+  NOT_FOUND: 5,
+  // The version's code doesn't match any known pattern
+  UNSUPPORTED_VERSION: 6,
+  // Backup, cli.js or --out could not be written
+  WRITE_FAILED: 7,
+  // Written, but some selected patches could not be applied
+  PARTIAL_PATCH: 8,
+  // --engine=both: the engines patched differently and no --prefer was given; nothing written
+  ENGINES_DISAGREE: 9,
+};
+
+module.exports = { EXIT };
@@ -0,0 +1,182 @@
+/**
+ * "thinker extract-fixture": cut the thinking code out of a real cli.js
+ *
+ * A whole cli.js can't go into a bug report, yet detector failures only
+ * reproduce against the real code. Starting from the anchors the detectors key
+ * on, this keeps the innermost named function around each one, plus the component
+ * the "thinking" case renders, the content component and the text renderer it
+ * pushes, each under a comment giving its
+ * byte range in the original. The result parses on its own and can go straight
+ * into test/fixtures or an issue.
+ */
+
+const crypto = require('crypto');
+
+// Literal texts the detectors anchor on, by what they mark
+const ANCHORS = [
+  { label: 'expanded header', texts: ['"∴ Thinking…"', '"∴ Thinking"'] },
+  { label: 'collapsed view', texts: ['to expand)"', "to expand)'"] },
+  { label: 'thinking case', texts: ['case"thinking"'] },
+];
+
+// Components pushed by a content component: createElement(NAME,{key:...
+const PUSHED_COMPONENT = /createElement\(([A-Za-z0-9$_]+),\{key:/g;
+
+// Component the "thinking" case renders, within a short reach of the case label
+const CASE_COMPONENT = /^case"thinking":[^]{0,200}?createElement\(([A-Za-z0-9$_]+),/;
+
+// acorn is only needed here, so the regex engine still runs without npm install
+function loadParser() {
+  try {
+    return { acorn: require('acorn'), walk: require('acorn-walk') };
+  } catch (e) {
+    throw new Error('extract-fixture needs acorn and acorn-walk; run "npm install" in the thinker directory');
+  }
+}
+
+function parse(acorn, content) {
+  const options = { ecmaVersion: 'latest', allowHashBang: true, allowReserved: true };
+  try {
+    return acorn.parse(content, { ...options, sourceType: 'script' });
+  } catch (e) {
+    try {
+      return acorn.parse(content, { ...options, sourceType: 'module' });
+    } catch (e2) {
+      throw new Error(`cli.js does not parse: ${e2.message}`);
+    }
+  }
+}
+
+/**
+ * Every function that has a name, with the source range that defines it
+ * - function NAME(){...}                      the declaration
+ * - var NAME=function(){...} / NAME=()=>{...} the declarator or assignment
+ * - NAME=React.memo(function(){...})          the same, through wrapping calls
+ * @param {object} ast - acorn Program
+ * @returns {Array} [{name, start, end, fnStart, fnEnd, keyword}]; keyword is
+ *   what turns the range into a statement ('' for declarations)
+ */
+function namedFunctions(ast) {
+  const { walk } = loadParser();
+  const found = [];
+  const visit = (fn, ancestors) => {
+    if (fn.type === 'FunctionDeclaration') {
+      if (fn.id) found.push({ name: fn.id.name, start: fn.start, end: fn.end, fnStart: fn.start, fnEnd: fn.end, keyword: '' });
+      return;
+    }
+    let child = fn;
+    for (let i = ancestors.length - 2; i >= 0; i--) {
+      const parent = ancestors[i];
+      if (parent.type === 'CallExpression' && parent.arguments.includes(child)) {
+        child = parent;
+        continue;
+      }
+      if (parent.type === 'VariableDeclarator' && parent.init === child && parent.id.type === 'Identifier') {
+        const kind = ancestors[i - 1] && ancestors[i - 1].type === 'VariableDeclaration' ? ancestors[i - 1].kind : 'var';
+        found.push({ name: parent.id.name, start: parent.start, end: parent.end, fnStart: fn.start, fnEnd: fn.end, keyword: `${kind} ` });
+      } else if (parent.type === 'AssignmentExpression' && parent.right === child && parent.left.type === 'Identifier') {
+        found.push({ name: parent.left.name, start: parent.start, end: parent.end, fnStart: fn.start, fnEnd: fn.end, keyword: 'var ' });
+      }
+      return;
+    }
+  };
+  walk.ancestor(ast, {
+    FunctionDeclaration: visit,
+    FunctionExpression: visit,
+    ArrowFunctionExpression: visit,
+  });
+  return found;
+}
+
+// The named function with the latest start that still contains the index, or null
+function innermostFunction(functions, index) {
+  return functions
+    .filter(f => f.fnStart <= index && index < f.fnEnd)
+    .reduce((inner, f) => (!inner || f.fnStart > inner.fnStart ? f : inner), null);
+}
+
+function indexesOf(content, text) {
+  const indexes = [];
+  for (let i = content.indexOf(text); i !== -1; i = content.indexOf(text, i + 1)) indexes.push(i);
+  return indexes;
+}
+
+/**
+ * Cut the code around the anchors out of cli.js
+ * @param {string} content - cli.js source
+ * @param {object} options - {version: written into the fixture's banner,
+ *   components: content component names found by the detectors}
+ * @returns {object} {source, regions: [{name, labels, start, end, bytes: [start, end]}],
+ *   missing: labels of anchors with no enclosing named function}
+ * @throws {Error} If acorn isn't installed or cli.js doesn't parse
+ */
+function extractFixture(content, { version, components = [] }) {
+  const { acorn } = loadParser();
+  const functions = namedFunctions(parse(acorn, content));
+  const regions = new Map();
+
+  const add = (fn, label) => {
+    const region = regions.get(fn.start) || { ...fn, labels: [] };
+    if (!region.labels.includes(label)) region.labels.push(label);
+    regions.set(fn.start, region);
+  };
+
+  const missing = [];
+  for (const { label, texts } of ANCHORS) {
+    const hits = texts.flatMap(text => indexesOf(content, text));
+    let enclosed = false;
+    for (const index of hits) {
+      const fn = innermostFunction(functions, index);
+      if (fn) {
+        add(fn, label);
+        enclosed = true;
+      }
+    }
+    if (!enclosed) missing.push(label);
+  }
+
+  const definition = (name) => functions.find(f => f.name === name);
+  for (const index of indexesOf(content, 'case"thinking"')) {
+    const match = content.slice(index).match(CASE_COMPONENT);
+    if (match && definition(match[1])) add(definition(match[1]), 'thinking component');
+  }
+  for (const name of components) {
+    const component = definition(name);
+    if (!component) continue;
+    add(component, 'content component');
+    for (const [, pushed] of content.slice(component.start, component.end).matchAll(PUSHED_COMPONENT)) {
+      if (definition(pushed)) add(definition(pushed), 'text renderer');
+    }
+  }
+
+  // Drop regions nested in another one; the outer region already carries their code
+  const sorted = [...regions.values()].sort((a, b) => a.start - b.start);
+  const kept = [];
+  for (const region of sorted) {
+    const outer = kept.find(k => k.start <= region.start && region.end <= k.end);
+    if (outer) {
+      outer.labels.push(...region.labels.filter(label => !outer.labels.includes(label)));
+    } else {
+      kept.push(region);
+    }
+  }
+
+  const byteOffset = (index) => Buffer.byteLength(content.slice(0, index));
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  const lines = [
+    '#!/usr/bin/env node',
+    `// Version: ${version}`,
+    `// Extracted by "thinker extract-fixture" from a ${Buffer.byteLength(content)}-byte cli.js (sha256 ${hash.slice(0, 16)})`,
+  ];
+  const described = kept.map(region => {
+    const bytes = [byteOffset(region.start), byteOffset(region.end)];
+    const code = content.slice(region.start, region.end);
+    lines.push(`// bytes ${bytes[0]}-${bytes[1]}: ${region.name} (${region.labels.join(', ')})`);
+    lines.push(region.keyword ? `${region.keyword}${code};` : code);
+    return { name: region.name, labels: region.labels, start: region.start, end: region.end, bytes };
+  });
+
+  return { source: lines.join('\n') + '\n', regions: described, missing };
+}
+
+module.exports = { ANCHORS, extractFixture, namedFunctions, innermostFunction };
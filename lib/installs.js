@@ -0,0 +1,225 @@
+/**
+ * Claude Code installation discovery
+ *
+ * A machine often has several installs: the global npm one, a ~/.claude/local
+ * install, one per nvm/fnm/volta/asdf Node version, and pnpm/yarn/bun global
+ * directories. discoverInstalls() lists every cli.js it can find, in the
+ * order findClaudeCode() has always preferred (the `claude` on PATH first).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync, spawnSync } = require('child_process');
+const config = require('./config');
+const report = require('./report');
+const { STATE_LABELS } = require('./status');
+const { EXIT } = require('./exit');
+
+const PACKAGE_PATH = path.join('@anthropic-ai', 'claude-code', 'cli.js');
+
+function home() {
+  return process.env.HOME || process.env.USERPROFILE || '';
+}
+
+function subdirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => path.join(dir, entry.name));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Output of a package manager command, or null when it isn't installed
+function commandOutput(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 }).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Every `claude` on PATH, resolved through symlinks to its cli.js
+function pathCandidates() {
+  const names = process.platform === 'win32' ? ['claude.cmd', 'claude'] : ['claude'];
+  const found = [];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const name of names) {
+      try {
+        const realPath = fs.realpathSync(path.join(dir, name));
+        found.push(realPath, path.join(path.dirname(realPath), 'cli.js'));
+      } catch (e) {}
+    }
+  }
+  return found;
+}
+
+// node_modules directories of every Node version a version manager has installed
+function versionManagerRoots() {
+  const h = home();
+  const unixLib = (prefix) => path.join(prefix, 'lib', 'node_modules');
+  const roots = [];
+
+  // nvm: $NVM_DIR/versions/node/<version>
+  const nvmDir = process.env.NVM_DIR || path.join(h, '.nvm');
+  for (const dir of subdirs(path.join(nvmDir, 'versions', 'node'))) roots.push(['nvm', unixLib(dir)]);
+
+  // fnm: <fnm dir>/node-versions/<version>/installation
+  const fnmDirs = [
+    process.env.FNM_DIR,
+    path.join(process.env.XDG_DATA_HOME || path.join(h, '.local', 'share'), 'fnm'),
+    path.join(h, '.fnm'),
+    path.join(h, 'Library', 'Application Support', 'fnm'),
+  ].filter(Boolean);
+  for (const fnmDir of fnmDirs) {
+    for (const dir of subdirs(path.join(fnmDir, 'node-versions'))) roots.push(['fnm', unixLib(path.join(dir, 'installation'))]);
+  }
+
+  // volta: packages are installed per tool, plus per-version node images
+  const voltaHome = process.env.VOLTA_HOME || path.join(h, '.volta');
+  roots.push(['volta', unixLib(path.join(voltaHome, 'tools', 'image', 'packages', '@anthropic-ai', 'claude-code'))]);
+  for (const dir of subdirs(path.join(voltaHome, 'tools', 'image', 'node'))) roots.push(['volta', unixLib(dir)]);
+
+  // asdf: $ASDF_DATA_DIR/installs/nodejs/<version>
+  const asdfDir = process.env.ASDF_DATA_DIR || path.join(h, '.asdf');
+  for (const dir of subdirs(path.join(asdfDir, 'installs', 'nodejs'))) roots.push(['asdf', unixLib(dir)]);
+
+  return roots;
+}
+
+// Global node_modules directories of the package managers
+function packageManagerRoots() {
+  const h = home();
+  const roots = [];
+
+  const npmRoot = commandOutput('npm root -g');
+  if (npmRoot) roots.push(['npm', npmRoot]);
+
+  const pnpmRoot = commandOutput('pnpm root -g');
+  if (pnpmRoot) roots.push(['pnpm', pnpmRoot]);
+  const pnpmHome = process.env.PNPM_HOME || path.join(h, '.local', 'share', 'pnpm');
+  for (const dir of subdirs(path.join(pnpmHome, 'global'))) roots.push(['pnpm', path.join(dir, 'node_modules')]);
+
+  const yarnDir = commandOutput('yarn global dir');
+  if (yarnDir) roots.push(['yarn', path.join(yarnDir, 'node_modules')]);
+  roots.push(['yarn', path.join(h, '.config', 'yarn', 'global', 'node_modules')]);
+
+  const bunDir = process.env.BUN_INSTALL || path.join(h, '.bun');
+  roots.push(['bun', path.join(bunDir, 'install', 'global', 'node_modules')]);
+
+  return roots;
+}
+
+/**
+ * List every Claude Code install, first match of each real file only
+ * @returns {Array} [{cliPath, source}] - source: path, npm, local, pnpm, yarn, bun, nvm, fnm, volta or asdf
+ */
+function discoverInstalls() {
+  const h = home();
+  const inRoot = ([source, root]) => [source, path.join(root, PACKAGE_PATH)];
+  const managers = packageManagerRoots();
+  const candidates = [
+    ...pathCandidates().map(p => ['path', p]),
+    ...managers.filter(([source]) => source === 'npm').map(inRoot),
+    ['local', path.join(h, '.claude', 'local', 'node_modules', PACKAGE_PATH)],
+    ['local', path.join(h, '.config', 'claude', 'local', 'node_modules', PACKAGE_PATH)],
+    ...managers.filter(([source]) => source !== 'npm').map(inRoot),
+    ...versionManagerRoots().map(inRoot),
+  ];
+
+  const seen = new Set();
+  const installs = [];
+  for (const [source, cliPath] of candidates) {
+    if (!cliPath.endsWith('cli.js') || !fs.existsSync(cliPath)) continue;
+    const real = fs.realpathSync(cliPath);
+    if (seen.has(real)) continue;
+    seen.add(real);
+    installs.push({ cliPath, source });
+  }
+  return installs;
+}
+
+/**
+ * Run a patcher script once per install, each in its own process
+ * Every install gets its own lock, backup and exit code.
+ * @param {string} script - Patcher entry point
+ * @param {Array} args - Arguments to pass (without --all)
+ * @param {Array} installs - Result of discoverInstalls()
+ * @param {object} [options] - {json: capture each child's --json report instead of passing stdout through}
+ * @returns {Array} [{cliPath, source, status, report}]
+ */
+function runEach(script, args, installs, { json = false } = {}) {
+  return installs.map(install => {
+    console.log(`\n━━━ ${install.cliPath} (${install.source}) ━━━`);
+    const child = spawnSync(process.execPath, [script, ...args, `--cli-path=${install.cliPath}`], {
+      stdio: json ? ['inherit', 'pipe', 'inherit'] : 'inherit',
+      encoding: 'utf8',
+      maxBuffer: 16 * 1024 * 1024,
+    });
+    const result = { ...install, status: child.status === null ? 1 : child.status };
+    if (json) {
+      try {
+        result.report = JSON.parse(child.stdout);
+      } catch (e) {
+        result.report = null;
+      }
+    }
+    return result;
+  });
+}
+
+// Whether a --all run left every install patched: at least one written, the rest already patched
+function patchedEvery(results) {
+  return results.some(result => result.status === EXIT.SUCCESS) &&
+    results.every(result => result.status === EXIT.SUCCESS || result.status === EXIT.ALREADY_PATCHED);
+}
+
+// "installs": every discovered install with its version and patch state, as the engine's inspect() reads them
+function runListInstalls(inspect) {
+  const found = discoverInstalls();
+  if (found.length === 0) {
+    console.error('❌ No Claude Code installations found');
+    return EXIT.NOT_FOUND;
+  }
+
+  console.log(`📦 ${found.length} installation(s):\n`);
+  const listed = [];
+  for (const { cliPath, source } of found) {
+    const { version, state, meta } = inspect(cliPath, fs.readFileSync(cliPath, 'utf8'));
+    listed.push({ cliPath, source, version, state, colors: meta ? meta.colors : null });
+    const colors = meta && meta.colors.header ? ` (${meta.colors.header}${meta.colors.content ? `/${meta.colors.content}` : ''})` : '';
+    console.log(`   ${version.padEnd(10)} ${(STATE_LABELS[state] + colors).padEnd(28)} ${source.padEnd(6)} ${cliPath}`);
+  }
+  report.set({ installs: listed });
+  return EXIT.SUCCESS;
+}
+
+// --all: run a command against every discovered install, one process each
+function runAll(script, argv, command, options) {
+  const found = discoverInstalls();
+  if (found.length === 0) {
+    console.error('❌ No Claude Code installations found');
+    return EXIT.NOT_FOUND;
+  }
+
+  console.log(`📦 ${found.length} installation(s)`);
+  const results = runEach(script, argv.filter(a => a !== '--all'), found, { json: options.json });
+  report.set({ installs: results });
+  if (command === 'patch' && !options.dryRun && !options.out && patchedEvery(results)) {
+    try {
+      config.markLastPatchAll();
+    } catch (e) {
+      console.log(`⚠️  Could not record the options for reapply: ${e.message}`);
+    }
+  }
+
+  console.log('\n📋 Summary:');
+  for (const result of results) {
+    console.log(`   ${result.status === 0 ? '✅' : '❌'} ${result.cliPath} (exit ${result.status})`);
+  }
+  const failed = results.find(result => result.status !== 0);
+  return failed ? failed.status : EXIT.SUCCESS;
+}
+
+module.exports = { PACKAGE_PATH, discoverInstalls, runEach, patchedEvery, runListInstalls, runAll };
@@ -0,0 +1,54 @@
+/**
+ * Input and output targets for --cli-path / --out
+ *
+ * "-" means stdin for input and stdout for output, so the patchers can sit in
+ * a pipeline: `node thinker.js --cli-path=- < cli.js > patched.js`. While
+ * stdout carries the file, progress messages move to stderr.
+ */
+
+const fs = require('fs');
+const { atomicWrite } = require('./atomic');
+
+const STDIO = '-';
+
+// stdin can only be read once; later reads (after an engine probe) get the same content
+let stdinContent = null;
+
+function readInput(target) {
+  if (target !== STDIO) return fs.readFileSync(target, 'utf8');
+  if (stdinContent === null) stdinContent = fs.readFileSync(0, 'utf8');
+  return stdinContent;
+}
+
+/**
+ * Write a result somewhere other than the install (no backup, no lock)
+ * @param {string} target - File path, or "-" for stdout
+ * @param {string} content - Content to write
+ */
+function writeOutput(target, content) {
+  if (target === STDIO) {
+    // stdout may be a non-blocking pipe; keep writing until everything is out
+    const buffer = Buffer.from(content);
+    let offset = 0;
+    while (offset < buffer.length) {
+      try {
+        offset += fs.writeSync(1, buffer, offset);
+      } catch (e) {
+        if (e.code !== 'EAGAIN') throw e;
+      }
+    }
+  } else {
+    atomicWrite(target, content);
+  }
+}
+
+// Send console.log to stderr so stdout holds only the file content
+function routeLogsToStderr() {
+  console.log = console.error;
+}
+
+function describeTarget(target) {
+  return target === STDIO ? 'stdout' : target;
+}
+
+module.exports = { STDIO, readInput, writeOutput, routeLogsToStderr, describeTarget };
@@ -0,0 +1,136 @@
+/**
+ * Exclusive lock next to cli.js
+ *
+ * Two thinker runs against the same install (a dotfiles bootstrap and a manual
+ * run, say) must not interleave their read-backup-write sequences. The lock is
+ * a file created with O_EXCL holding the owner's pid; a lock whose owner is no
+ * longer running is treated as stale, renamed aside and created afresh. A run
+ * only proceeds once the file records its own pid.
+ */
+
+const fs = require('fs');
+const { EXIT } = require('./exit');
+
+const LOCK_SUFFIX = '.thinker-lock';
+const LOCK_TIMEOUT = 30000;
+const POLL_INTERVAL = 200;
+
+const held = new Set();
+
+function lockPath(cliPath) {
+  return cliPath + LOCK_SUFFIX;
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readOwner(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Delete the lock only while it still records this process
+function release(file) {
+  held.delete(file);
+  const owner = readOwner(file);
+  if (owner && owner.pid === process.pid) fs.rmSync(file, { force: true });
+}
+
+/**
+ * Move a stale lock out of the way
+ * Two runs can see the same dead owner; the second rename then moves the lock
+ * the first run just created, which is put back when its owner is alive.
+ */
+function takeOverStale(file) {
+  const aside = `${file}.stale-${process.pid}-${Date.now()}`;
+  try {
+    fs.renameSync(file, aside);
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  const moved = readOwner(aside);
+  if (moved && isRunning(moved.pid)) {
+    try {
+      fs.linkSync(aside, file);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+  fs.rmSync(aside, { force: true });
+}
+
+// Locks still held when the process exits (including process.exit()) are released
+process.on('exit', () => {
+  for (const file of held) release(file);
+});
+
+/**
+ * Take the lock for a cli.js, waiting for another run to finish
+ * @param {string} cliPath - Path to cli.js
+ * @param {object} [options] - {timeout: ms to wait, onWait(owner): called once when another run holds it}
+ * @returns {function} Releases the lock
+ * @throws {Error} When the lock is still held after the timeout (error.owner is the holder)
+ */
+function acquireLock(cliPath, { timeout = LOCK_TIMEOUT, onWait } = {}) {
+  const file = lockPath(cliPath);
+  const deadline = Date.now() + timeout;
+  let waited = false;
+
+  while (true) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, since: new Date().toISOString() }), { flag: 'wx' });
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    // Ours when the create above won, or when a run that moved it aside put it back
+    const owner = readOwner(file);
+    if (owner && owner.pid === process.pid) {
+      held.add(file);
+      return () => release(file);
+    }
+    if (owner && !isRunning(owner.pid)) {
+      // Stale: the run that took it died without releasing
+      takeOverStale(file);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      const error = new Error(`${file} is held by pid ${owner ? owner.pid : 'unknown'}` +
+        `${owner ? ` since ${owner.since}` : ''}; another thinker run is in progress`);
+      error.owner = owner;
+      throw error;
+    }
+    if (!waited && onWait) onWait(owner);
+    waited = true;
+    sleep(POLL_INTERVAL);
+  }
+}
+
+// Serialize runs that modify this install; the lock is released on exit
+function lockInstall(cliPath) {
+  try {
+    acquireLock(cliPath, {
+      onWait: (owner) => console.log(`⏳ Waiting for another thinker run${owner ? ` (pid ${owner.pid})` : ''}...`),
+    });
+  } catch (e) {
+    console.error(`❌ Could not lock ${cliPath}: ${e.message}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+}
+
+module.exports = { LOCK_SUFFIX, lockPath, acquireLock, lockInstall };
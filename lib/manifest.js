@@ -0,0 +1,207 @@
+/**
+ * Patch manifest: the exact edits a patch run made, so it can be reversed
+ *
+ * Each edit is {offset, original, replacement} with offset in the unpatched
+ * file. The manifest travels inside the patch marker, so `unpatch` works even
+ * when every backup is gone.
+ */
+
+const { readMarker, hashContent } = require('./marker');
+const { atomicWrite, writeOrExit } = require('./atomic');
+const io = require('./io');
+const sessions = require('./processes');
+const { EXIT } = require('./exit');
+
+// Characters that must agree after a difference before the diff resynchronizes
+const SYNC_WINDOW = 32;
+// Longest single edit (in either file) the diff searches for
+const MAX_EDIT = 2048;
+
+function commonRun(a, i, b, j) {
+  let n = 0;
+  while (i + n < a.length && j + n < b.length && a.charCodeAt(i + n) === b.charCodeAt(j + n)) n++;
+  return n;
+}
+
+function alignsAt(a, i, b, j) {
+  return a.substr(i, SYNC_WINDOW) === b.substr(j, SYNC_WINDOW);
+}
+
+/**
+ * Compute the edits that turn original into patched
+ * Tuned for patches: a handful of short, localized changes in a large file.
+ * @param {string} original - Unpatched content
+ * @param {string} patched - Patched content
+ * @returns {Array} [{offset, original, replacement}] in ascending offset order
+ */
+function diffEdits(original, patched) {
+  const edits = [];
+  let i = 0;
+  let j = 0;
+
+  while (true) {
+    const run = commonRun(original, i, patched, j);
+    i += run;
+    j += run;
+    if (i >= original.length && j >= patched.length) break;
+
+    // Smallest total change (deleted + inserted) after which both sides agree again
+    let sync = null;
+    for (let total = 1; total <= 2 * MAX_EDIT && !sync; total++) {
+      for (let del = Math.max(0, total - MAX_EDIT); del <= Math.min(total, MAX_EDIT); del++) {
+        if (alignsAt(original, i + del, patched, j + total - del)) {
+          sync = { del, ins: total - del };
+          break;
+        }
+      }
+    }
+
+    if (!sync) {
+      // No resync within reach: everything up to the common tail is one edit
+      let tail = 0;
+      while (tail < original.length - i && tail < patched.length - j &&
+             original[original.length - 1 - tail] === patched[patched.length - 1 - tail]) tail++;
+      sync = { del: original.length - i - tail, ins: patched.length - j - tail };
+    }
+
+    edits.push({
+      offset: i,
+      original: original.substr(i, sync.del),
+      replacement: patched.substr(j, sync.ins),
+    });
+    i += sync.del;
+    j += sync.ins;
+  }
+
+  return edits;
+}
+
+/**
+ * Apply edits, checking each one still finds the text it expects
+ * @param {string} content - Content the edits were recorded against
+ * @param {Array} edits - [{offset, original, replacement}], non-overlapping
+ * @returns {string} Edited content
+ * @throws {Error} When an edit's expected text is not at its offset
+ */
+function applyEdits(content, edits) {
+  // Back to front; at a shared offset the replacement goes before the insertion
+  const sorted = [...edits].sort((a, b) => b.offset - a.offset || b.original.length - a.original.length);
+  let result = content;
+  for (const edit of sorted) {
+    if (result.substr(edit.offset, edit.original.length) !== edit.original) {
+      throw new Error(`Edit at offset ${edit.offset} does not match the file`);
+    }
+    result = result.substring(0, edit.offset) + edit.replacement + result.substring(edit.offset + edit.original.length);
+  }
+  return result;
+}
+
+/**
+ * Turn original→patched edits into patched→original edits
+ * Offsets move by the size change of every earlier edit.
+ */
+function invertEdits(edits) {
+  const sorted = [...edits].sort((a, b) => a.offset - b.offset || a.original.length - b.original.length);
+  let shift = 0;
+  return sorted.map(edit => {
+    const inverse = { offset: edit.offset + shift, original: edit.replacement, replacement: edit.original };
+    shift += edit.replacement.length - edit.original.length;
+    return inverse;
+  });
+}
+
+/**
+ * Reconstruct the unpatched file from the manifest in its marker
+ * @param {string} content - Patched cli.js content
+ * @returns {object} {ok, original, meta, error}
+ */
+function unpatch(content) {
+  const marker = readMarker(content);
+  if (!marker) {
+    return { ok: false, error: 'No thinker patch marker found' };
+  }
+  if (!Array.isArray(marker.meta.edits)) {
+    return { ok: false, meta: marker.meta, error: 'The patch marker has no edit manifest' };
+  }
+
+  let original;
+  try {
+    original = applyEdits(marker.body, invertEdits(marker.meta.edits));
+  } catch (e) {
+    return { ok: false, meta: marker.meta, error: `${e.message}; cli.js was modified after patching` };
+  }
+
+  if (hashContent(original) !== marker.meta.originalHash) {
+    return { ok: false, meta: marker.meta, error: 'Reversed file does not match the recorded original hash' };
+  }
+  return { ok: true, original, meta: marker.meta };
+}
+
+/**
+ * Work out the manifest for a patch run
+ * A file that already carries a manifest is reversed first so the new manifest
+ * still leads back to the pristine original. Without a usable manifest the
+ * earlier original hash is kept but no edits are recorded.
+ * @param {string} content - File content before this run (may carry a marker)
+ * @param {string} patched - Patched content produced by this run (marker stripped or not)
+ * @param {Array} runEdits - Edits this run made against content
+ * @returns {object} {originalHash, edits}
+ */
+function buildManifest(content, patched, runEdits) {
+  const marker = readMarker(content);
+  if (!marker) {
+    return { originalHash: hashContent(content), edits: runEdits };
+  }
+
+  const previous = unpatch(content);
+  if (!previous.ok) {
+    return { originalHash: marker.meta.originalHash, edits: null };
+  }
+
+  const body = readMarker(patched) ? readMarker(patched).body : patched;
+  return { originalHash: marker.meta.originalHash, edits: diffEdits(previous.original, body) };
+}
+
+// "unpatch": reverse the edits recorded in the marker and check the original hash
+function runUnpatch(cliPath, content, outPath, options) {
+  const result = unpatch(content);
+  if (!result.ok) {
+    console.error(`❌ Cannot unpatch: ${result.error}`);
+    return EXIT.GENERAL_ERROR;
+  }
+
+  console.log(`🔁 Reversing ${result.meta.edits.length} recorded edit(s)`);
+  console.log(`   ✅ Result matches original hash ${result.meta.originalHash.slice(0, 12)}`);
+
+  if (options.dryRun) {
+    console.log('\n🔍 Dry run complete. Run without --dry-run to unpatch.');
+    return EXIT.SUCCESS;
+  }
+  if (outPath) {
+    writeOrExit(io.describeTarget(outPath), () => io.writeOutput(outPath, result.original));
+    console.log(`\n✅ Unpatched output written to ${io.describeTarget(outPath)}`);
+    return EXIT.SUCCESS;
+  }
+  sessions.checkRunningSessions(cliPath, options);
+  writeOrExit(cliPath, () => atomicWrite(cliPath, result.original));
+  console.log('\n✅ Unpatched');
+  sessions.printRestartHint(cliPath);
+  return EXIT.SUCCESS;
+}
+
+/**
+ * --repatch: reverse the recorded patch in memory, so this run patches the original
+ * @returns {string} The original content (content itself when it carries no marker)
+ */
+function originalForRepatch(content) {
+  if (!readMarker(content)) return content;
+  const result = unpatch(content);
+  if (!result.ok) {
+    console.error(`❌ Cannot repatch: ${result.error}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  console.log(`🔁 Repatching: ${result.meta.edits.length} recorded edit(s) of the ${result.meta.engine} engine reversed in memory`);
+  return result.original;
+}
+
+module.exports = { diffEdits, applyEdits, invertEdits, unpatch, buildManifest, runUnpatch, originalForRepatch };
@@ -0,0 +1,91 @@
+/**
+ * Embedded patch marker
+ *
+ * Every patch run appends one comment line to cli.js recording what was
+ * applied. `status` reads it back to tell a thinker-patched file apart from
+ * a pristine one, one patched by another tool, or one modified since.
+ *
+ *   // @thinker-patch {"tool":"thinker","thinkerVersion":"1.0.0",...}
+ */
+
+const crypto = require('crypto');
+const { version: THINKER_VERSION } = require('../package.json');
+
+const MARKER_PREFIX = '// @thinker-patch ';
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Find and parse the marker line
+ * @param {string} content - cli.js content
+ * @returns {object|null} {meta, body} where body is the content without the marker, or null
+ */
+function readMarker(content) {
+  const start = content.lastIndexOf('\n' + MARKER_PREFIX);
+  if (start === -1) return null;
+
+  const lineStart = start + 1;
+  const lineEnd = content.indexOf('\n', lineStart);
+  const json = content.substring(lineStart + MARKER_PREFIX.length, lineEnd === -1 ? content.length : lineEnd);
+
+  let meta;
+  try {
+    meta = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+
+  // Drop the newline the marker added when the original didn't end with one.
+  // Anything appended after the marker stays in the body so it shows up as a modification.
+  const bodyEnd = meta.addedNewline ? start : lineStart;
+  const trailing = lineEnd === -1 ? '' : content.substring(lineEnd + 1);
+  return { meta, body: content.substring(0, bodyEnd) + trailing };
+}
+
+function stripMarker(content) {
+  const marker = readMarker(content);
+  return marker ? marker.body : content;
+}
+
+/**
+ * Append (or replace) the marker on patched content
+ * @param {string} content - Patched content, with or without an old marker
+ * @param {object} meta - {engine, recipe, colors, steps, originalHash, ...}
+ * @returns {string} Content ending in a fresh marker line
+ */
+function stampMarker(content, meta) {
+  const body = stripMarker(content);
+  const addedNewline = !body.endsWith('\n');
+  const record = {
+    tool: 'thinker',
+    thinkerVersion: THINKER_VERSION,
+    ...meta,
+    patchedHash: hashContent(body),
+    timestamp: new Date().toISOString(),
+    addedNewline,
+  };
+  return body + (addedNewline ? '\n' : '') + MARKER_PREFIX + JSON.stringify(record) + '\n';
+}
+
+/**
+ * Classify a file from its marker and what the detectors see
+ * - pristine: no marker, nothing reads as patched
+ * - patched: marker present and the file hashes to what was written
+ * - modified: marker present but the file changed after patching
+ * - foreign: no marker, yet detectors read patched forms (another tool or an old thinker)
+ * @param {string} content - cli.js content
+ * @param {boolean} looksPatched - Whether any detector reports isPatched
+ * @returns {object} {state, meta}
+ */
+function inspectMarker(content, looksPatched) {
+  const marker = readMarker(content);
+  if (!marker) {
+    return { state: looksPatched ? 'foreign' : 'pristine', meta: null };
+  }
+  const state = hashContent(marker.body) === marker.meta.patchedHash ? 'patched' : 'modified';
+  return { state, meta: marker.meta };
+}
+
+module.exports = { MARKER_PREFIX, THINKER_VERSION, hashContent, readMarker, stripMarker, stampMarker, inspectMarker };
@@ -0,0 +1,191 @@
+/**
+ * Running Claude Code sessions for an install
+ *
+ * Scans /proc for node processes whose script is the cli.js being patched
+ * (directly or through the `claude` symlink). Rewriting cli.js under a live
+ * session leaves it on the old code until restart, so the patchers list these
+ * and refuse, wait or carry on (--force). Wrappers that merely name the file
+ * (sudo, timeout, an editor) and this run's own ancestors are not sessions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT } = require('./exit');
+
+const PROC = '/proc';
+const WAIT_INTERVAL = 1000;
+
+function realpath(file) {
+  try {
+    return fs.realpathSync(file);
+  } catch (e) {
+    return null;
+  }
+}
+
+function readArgv(pid) {
+  try {
+    return fs.readFileSync(path.join(PROC, pid, 'cmdline'), 'utf8').split('\0').filter(Boolean);
+  } catch (e) {
+    return null;
+  }
+}
+
+// node, nodejs, node20, ...
+function isNode(file) {
+  return /^node(js|\d+)?$/.test(path.basename(file || ''));
+}
+
+function processExe(pid) {
+  try {
+    return fs.readlinkSync(path.join(PROC, pid, 'exe'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Parent pid from /proc/PID/stat; the command name before it may hold spaces and parens
+function parentPid(pid) {
+  try {
+    const stat = fs.readFileSync(path.join(PROC, String(pid), 'stat'), 'utf8');
+    return Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+  } catch (e) {
+    return 0;
+  }
+}
+
+// This process and every ancestor up to init, e.g. the thinker.js that spawned thinker-ast.js
+function ownLineage() {
+  const pids = new Set([process.pid]);
+  for (let pid = process.ppid; pid > 1 && !pids.has(pid); pid = parentPid(pid)) pids.add(pid);
+  return pids;
+}
+
+// Node options whose value is the next argument, as in `node --require hook.js cli.js`
+const OPTIONS_WITH_VALUE = new Set([
+  '-r', '--require', '--import', '--loader', '--experimental-loader',
+  '-C', '--conditions', '--input-type', '--inspect-port', '--title', '--env-file',
+]);
+
+// Options that run code of their own instead of a script
+const NO_SCRIPT_OPTIONS = new Set(['-e', '--eval', '-p', '--print', '-c', '--check', '-i', '--interactive']);
+
+// The script node runs: its first argument that is neither an option nor an option's value
+function scriptArgument(argv) {
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') return argv[i + 1] || null;
+    if (NO_SCRIPT_OPTIONS.has(arg)) return null;
+    if (OPTIONS_WITH_VALUE.has(arg)) i++;
+    else if (!arg.startsWith('-')) return arg;
+  }
+  return null;
+}
+
+function processCwd(pid) {
+  try {
+    return fs.readlinkSync(path.join(PROC, pid, 'cwd'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find processes running a given cli.js
+ * @param {string} cliPath - Path to cli.js
+ * @returns {object} {supported: false when /proc is unavailable, processes: [{pid, command}]}
+ */
+function findCliProcesses(cliPath) {
+  if (!fs.existsSync(path.join(PROC, 'self', 'cmdline'))) {
+    return { supported: false, processes: [] };
+  }
+
+  const target = realpath(cliPath) || path.resolve(cliPath);
+  const lineage = ownLineage();
+  const processes = [];
+
+  for (const pid of fs.readdirSync(PROC)) {
+    if (!/^\d+$/.test(pid) || lineage.has(Number(pid))) continue;
+    const argv = readArgv(pid);
+    if (!argv || argv.length < 2) continue;
+    if (!isNode(argv[0]) && !isNode(processExe(pid))) continue;
+
+    // The claude bin is a symlink to cli.js, so both resolve to the target
+    const script = scriptArgument(argv);
+    const cwd = processCwd(pid);
+    if (!script || (!path.isAbsolute(script) && !cwd)) continue;
+    if (realpath(path.resolve(cwd || '/', script)) === target) {
+      processes.push({ pid: Number(pid), command: argv.join(' ') });
+    }
+  }
+
+  return { supported: true, processes };
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Poll until no process runs cli.js
+ * @param {string} cliPath - Path to cli.js
+ * @param {object} [options] - {timeout: ms, 0 waits forever}
+ * @returns {Array} Processes still running when the timeout hit ([] once they are gone)
+ */
+function waitForExit(cliPath, { timeout = 0 } = {}) {
+  const deadline = timeout ? Date.now() + timeout : Infinity;
+  while (true) {
+    const { processes } = findCliProcesses(cliPath);
+    if (processes.length === 0 || Date.now() >= deadline) return processes;
+    sleep(WAIT_INTERVAL);
+  }
+}
+
+// "pid 123, 456" for messages
+function describePids(processes) {
+  return `pid ${processes.map(p => p.pid).join(', ')}`;
+}
+
+/**
+ * Refuse to modify cli.js while Claude Code runs from it, unless --wait or --force
+ * With --wait, blocks until the sessions exit (or the --wait timeout passes).
+ */
+function checkRunningSessions(cliPath, options) {
+  const { processes } = findCliProcesses(cliPath);
+  if (processes.length === 0) return;
+
+  console.log('\n🏃 Claude Code is running from this install:');
+  for (const proc of processes) console.log(`   • ${proc.pid}  ${proc.command}`);
+
+  // --wait=0 waits without a limit, like a bare --wait
+  if (options.wait !== undefined && options.wait !== null) {
+    console.log(`⏳ Waiting for ${processes.length} session(s) to exit...`);
+    const seconds = options.wait === true ? 0 : options.wait;
+    const left = waitForExit(cliPath, { timeout: seconds * 1000 });
+    if (left.length > 0) {
+      console.error(`❌ Still running after ${seconds}s: ${describePids(left)}`);
+      process.exit(EXIT.GENERAL_ERROR);
+    }
+    console.log('   ✅ All sessions exited');
+    return;
+  }
+  if (options.force) {
+    console.log('   ⚠️  --force: writing anyway; these sessions keep the old code until restarted');
+    return;
+  }
+  console.error('\n❌ Refusing to modify cli.js while Claude Code is running.');
+  console.error('   Exit those sessions, or pass --wait to wait for them or --force to write anyway.');
+  process.exit(EXIT.GENERAL_ERROR);
+}
+
+// Restart hint, naming sessions that are still running the old code
+function printRestartHint(cliPath) {
+  const { processes } = findCliProcesses(cliPath);
+  if (processes.length > 0) {
+    console.log(`🔄 Restart Claude Code for changes to take effect (still running: ${describePids(processes)}).`);
+  } else {
+    console.log('🔄 Restart Claude Code for changes to take effect.');
+  }
+}
+
+module.exports = { scriptArgument, findCliProcesses, waitForExit, describePids, checkRunningSessions, printRestartHint };
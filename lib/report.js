@@ -0,0 +1,75 @@
+/**
+ * Machine-readable run report for --json
+ *
+ * Provisioning scripts used to scrape the emoji output. With --json the
+ * human-readable messages move to stderr and one JSON document describing the
+ * run is printed on stdout when the process exits, whichever path it exits
+ * through. The exit block names the code from the engine's EXIT table, and
+ * the reason is the one given to exitReason() or else the first error printed.
+ */
+
+const io = require('./io');
+
+let enabled = false;
+let document = null;
+let reason = null;
+const errors = [];
+
+// "❌ No patchable patterns found." -> "No patchable patterns found."
+function plainMessage(parts) {
+  return parts.map(String).join(' ').replace(/^[\s\p{Extended_Pictographic}\uFE0F]+/u, '').trim();
+}
+
+/**
+ * Switch the run to JSON output
+ * @param {object} options - {engine: 'regex' or 'ast', command, exitCodes: the EXIT table}
+ */
+function enableJson({ engine, command, exitCodes }) {
+  enabled = true;
+  document = {
+    tool: 'thinker',
+    engine,
+    command,
+    dryRun: false,
+    cliPath: null,
+    version: null,
+    detectors: {},
+    colors: { header: null, content: null },
+    patches: [],
+    verification: null,
+    output: null,
+  };
+
+  io.routeLogsToStderr();
+  const printError = console.error;
+  console.error = (...parts) => {
+    errors.push(plainMessage(parts));
+    printError(...parts);
+  };
+
+  process.on('exit', code => {
+    const name = Object.keys(exitCodes).find(key => exitCodes[key] === code) || null;
+    const exit = { code, name, reason: code === 0 ? null : (reason || errors.find(Boolean) || name) };
+    const result = { ...document, exit, errors };
+    io.writeOutput(io.STDIO, JSON.stringify(result, null, 2) + '\n');
+  });
+}
+
+function isJson() {
+  return enabled;
+}
+
+/**
+ * Record fields in the report (ignored without --json)
+ * @param {object} fields - Top-level fields to set
+ */
+function set(fields) {
+  if (enabled) Object.assign(document, fields);
+}
+
+// Explain a non-zero exit that wasn't reported through console.error
+function exitReason(text) {
+  reason = text;
+}
+
+module.exports = { enableJson, isJson, set, exitReason };
@@ -0,0 +1,59 @@
+/**
+ * Patch selection for --only / --skip
+ *
+ * Both engines name their patches with the marker step ids, so a selection
+ * means the same thing whichever engine applies it. Kebab-case spellings
+ * (collapsed-view, header-color, ...) are accepted too.
+ */
+
+const PATCH_IDS = ['collapsedView', 'thinkingCase', 'headerColor', 'contentColor'];
+
+function normalizeId(name) {
+  const key = name.trim().replace(/[-_]/g, '').toLowerCase();
+  return PATCH_IDS.find(id => id.toLowerCase() === key) || null;
+}
+
+function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : value.split(',')).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve --only / --skip values into the set of patch ids to apply
+ * @param {object} options - {only, skip}: comma-separated strings or arrays
+ * @returns {object} {ok, selected: Set, restricted, error}
+ */
+function parseSelection({ only, skip } = {}) {
+  const onlyNames = parseList(only);
+  const skipNames = parseList(skip);
+
+  const unknown = [...onlyNames, ...skipNames].filter(name => !normalizeId(name));
+  if (unknown.length > 0) {
+    return {
+      ok: false,
+      selected: new Set(),
+      restricted: true,
+      error: `Unknown patch id(s): ${unknown.join(', ')} (known: ${PATCH_IDS.join(', ')})`,
+    };
+  }
+
+  const base = onlyNames.length > 0 ? onlyNames.map(normalizeId) : PATCH_IDS;
+  const skipped = new Set(skipNames.map(normalizeId));
+  const selected = new Set(base.filter(id => !skipped.has(id)));
+
+  return { ok: true, selected, restricted: selected.size < PATCH_IDS.length, error: null };
+}
+
+// One-line summary for "check" / --dry-run output
+function describeSelection(selected) {
+  const skipped = PATCH_IDS.filter(id => !selected.has(id));
+  const applied = PATCH_IDS.filter(id => selected.has(id));
+  return `${applied.join(', ') || 'none'}${skipped.length ? ` (skipping ${skipped.join(', ')})` : ''}`;
+}
+
+module.exports = {
+  PATCH_IDS,
+  normalizeId,
+  parseSelection,
+  describeSelection,
+};
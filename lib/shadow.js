@@ -0,0 +1,139 @@
+/**
+ * Shadow install: a patched private copy of Claude Code plus a `claude` shim
+ *
+ * The upstream install is only ever read. The shim notices when it changes
+ * (size or mtime of cli.js) and re-syncs the copy before launching.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { atomicWrite } = require('./atomic');
+
+const STAMP_FILE = 'shadow.json';
+
+function shadowRoot() {
+  const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'thinker', 'claude-code');
+}
+
+function defaultBinDir() {
+  return path.join(os.homedir(), '.local', 'bin');
+}
+
+function readStamp(root = shadowRoot()) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, STAMP_FILE), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// The copy's entry point, named like the upstream one; null before the first sync
+function shadowCli(root = shadowRoot()) {
+  const stamp = readStamp(root);
+  return stamp ? path.join(root, 'package', path.basename(stamp.upstream)) : null;
+}
+
+/**
+ * Check whether the upstream cli.js differs from when the copy was made
+ * A missing upstream counts as unchanged so the existing copy keeps working.
+ */
+function isStale(stamp) {
+  try {
+    const stats = fs.statSync(stamp.upstream);
+    return stats.size !== stamp.size || stats.mtimeMs !== stamp.mtimeMs;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Copy the upstream package into the shadow root and patch the copy's cli.js
+ * The new copy is assembled next to the old one and swapped in by rename.
+ * @param {string} upstreamCli - Path to the installed cli.js
+ * @param {object} options - Patch options recorded for later re-syncs
+ * @param {function} patch - (content) => {patched, results, applied}
+ * @returns {object} {cliPath, packageDir, applied, results}
+ */
+function syncShadow(upstreamCli, options, patch, root = shadowRoot()) {
+  const upstreamDir = path.dirname(upstreamCli);
+  const packageDir = path.join(root, 'package');
+  const stagingDir = path.join(root, 'package.tmp-' + crypto.randomBytes(4).toString('hex'));
+  const oldDir = path.join(root, 'package.old');
+
+  fs.mkdirSync(root, { recursive: true });
+  // Stat before copying so a change mid-copy triggers another sync
+  const upstreamStats = fs.statSync(upstreamCli);
+  fs.cpSync(upstreamDir, stagingDir, { recursive: true });
+
+  const cliPath = path.join(stagingDir, path.basename(upstreamCli));
+  const content = fs.readFileSync(cliPath, 'utf8');
+  const { patched, results, applied } = patch(content);
+  if (applied > 0) atomicWrite(cliPath, patched);
+
+  fs.rmSync(oldDir, { recursive: true, force: true });
+  if (fs.existsSync(packageDir)) fs.renameSync(packageDir, oldDir);
+  fs.renameSync(stagingDir, packageDir);
+  fs.rmSync(oldDir, { recursive: true, force: true });
+
+  const stamp = {
+    upstream: upstreamCli,
+    size: upstreamStats.size,
+    mtimeMs: upstreamStats.mtimeMs,
+    options,
+    syncedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(path.join(root, STAMP_FILE), JSON.stringify(stamp, null, 2) + '\n');
+
+  return { cliPath: path.join(packageDir, path.basename(upstreamCli)), packageDir, applied, results };
+}
+
+/**
+ * Write the `claude` launcher that re-syncs when upstream changed, then runs the copy
+ * @param {string} binDir - Directory to place the shim in
+ * @param {string} thinkerPath - Path to thinker.js, used for re-syncs
+ * @returns {string} Path of the written shim
+ */
+function writeShim(binDir, thinkerPath, root = shadowRoot()) {
+  fs.mkdirSync(binDir, { recursive: true });
+  const shimPath = path.join(binDir, 'claude');
+
+  const shim = `#!/usr/bin/env node
+// Generated by "thinker shadow": runs a patched private copy of Claude Code.
+// The upstream install is never modified; it is re-copied when it changes.
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const shadow = require(${JSON.stringify(path.join(__dirname, 'shadow.js'))});
+
+const root = ${JSON.stringify(root)};
+const stamp = shadow.readStamp(root);
+if (stamp && shadow.isStale(stamp)) {
+  try {
+    execFileSync(process.execPath, [${JSON.stringify(thinkerPath)}, 'shadow', '--sync'], { stdio: ['ignore', 'ignore', 'inherit'] });
+  } catch (e) {
+    console.error('thinker: re-sync failed, starting the previous copy');
+  }
+}
+// Resolved after the re-sync, which may have copied a differently named entry point
+const cliPath = shadow.shadowCli(root);
+if (!cliPath) {
+  console.error('thinker: no shadow copy in ' + root + '; run "thinker shadow" again');
+  process.exit(1);
+}
+import(pathToFileURL(cliPath).href).catch((e) => {
+  console.error('thinker: could not start ' + cliPath);
+  console.error(e);
+  process.exit(1);
+});
+`;
+
+  fs.writeFileSync(shimPath, shim, { mode: 0o755 });
+  if (process.platform === 'win32') {
+    fs.writeFileSync(shimPath + '.cmd', `@node "%~dp0claude" %*\r\n`);
+  }
+  return shimPath;
+}
+
+module.exports = { shadowRoot, defaultBinDir, readStamp, shadowCli, isStale, syncShadow, writeShim };
@@ -0,0 +1,105 @@
+/**
+ * Launch smoke test for a patched cli.js
+ *
+ * Runs `cli.js --version` (and optionally `--help`) in a child process with a
+ * timeout and a throwaway HOME, so a patch that parses but crashes at startup
+ * is caught before anyone runs claude.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const backups = require('./backups');
+
+const SMOKE_TIMEOUT = 20000;
+
+// Environment with HOME and config locations pointed at an empty directory
+function isolatedEnv(home) {
+  const env = {
+    ...process.env,
+    HOME: home,
+    USERPROFILE: home,
+    XDG_CONFIG_HOME: path.join(home, '.config'),
+    XDG_DATA_HOME: path.join(home, '.local/share'),
+    XDG_CACHE_HOME: path.join(home, '.cache'),
+    CLAUDE_CONFIG_DIR: path.join(home, '.claude'),
+  };
+  // Test the file on disk, not whatever a preload hook would make of it
+  delete env.NODE_OPTIONS;
+  return env;
+}
+
+function lastLine(text) {
+  const lines = (text || '').trim().split('\n');
+  return lines[lines.length - 1] || '';
+}
+
+/**
+ * Run cli.js with --version (and --help) and check it exits cleanly
+ * @param {string} cliPath - cli.js to launch
+ * @param {object} [options] - {help: also run --help, timeout: ms per launch}
+ * @returns {object} {ok, runs: [{flag, ok, status, signal, timedOut, output, error}]}
+ */
+function smokeTest(cliPath, { help = false, timeout = SMOKE_TIMEOUT } = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'thinker-smoke-'));
+  const runs = [];
+
+  try {
+    for (const flag of help ? ['--version', '--help'] : ['--version']) {
+      const child = spawnSync(process.execPath, [cliPath, flag], {
+        cwd: home,
+        env: isolatedEnv(home),
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout,
+        killSignal: 'SIGKILL',
+        maxBuffer: 4 * 1024 * 1024,
+      });
+      const timedOut = !!child.error && child.error.code === 'ETIMEDOUT';
+      const run = {
+        flag,
+        ok: child.status === 0 && !timedOut,
+        status: child.status,
+        signal: child.signal,
+        timedOut,
+        output: lastLine(child.stdout),
+        error: child.error && !timedOut ? child.error.message : lastLine(child.stderr),
+      };
+      runs.push(run);
+      if (!run.ok) break;
+    }
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  return { ok: runs.every(run => run.ok), runs };
+}
+
+// One-line summary of a smoke run for terminal output
+function describeRun(run, timeout = SMOKE_TIMEOUT) {
+  if (run.ok) return `cli.js ${run.flag}: ${run.output || 'exit 0'}`;
+  if (run.timedOut) return `cli.js ${run.flag}: no exit after ${timeout / 1000}s`;
+  const how = run.signal ? `killed by ${run.signal}` : `exit ${run.status}`;
+  return `cli.js ${run.flag}: ${how}${run.error ? ` (${run.error})` : ''}`;
+}
+
+/**
+ * --smoke: launch the freshly written cli.js and roll back to the backup if it fails
+ * @returns {boolean} Whether the patched file passed
+ */
+function runSmoke(cliPath, version, options) {
+  console.log('\n🚬 Smoke test (isolated HOME)...');
+  const timeout = options.smokeTimeout !== null ? options.smokeTimeout * 1000 : SMOKE_TIMEOUT;
+  const result = smokeTest(cliPath, { help: options.smoke === 'help', timeout });
+  for (const run of result.runs) {
+    console.log(`   ${run.ok ? '✅' : '❌'} ${describeRun(run, timeout)}`);
+  }
+  if (result.ok) return true;
+
+  console.error('\n❌ Patched cli.js failed to start; rolling back');
+  backups.restoreFromBackup(cliPath, { installedVersion: version, force: true });
+  return false;
+}
+
+module.exports = { SMOKE_TIMEOUT, smokeTest, describeRun, runSmoke };
@@ -0,0 +1,67 @@
+/**
+ * "status" and the patch state labels "installs" shows
+ *
+ * Each engine reads an install its own way; the inspect function it passes in
+ * returns {version, state, meta, patched}, where state comes from
+ * marker.inspectMarker() (or is 'unparsable') and patched names the steps its
+ * detectors see as patched.
+ */
+
+const backups = require('./backups');
+const io = require('./io');
+const report = require('./report');
+const { EXIT } = require('./exit');
+
+// Patch state labels for "installs"
+const STATE_LABELS = {
+  pristine: 'unpatched',
+  patched: 'patched',
+  modified: 'modified',
+  foreign: 'foreign',
+  unparsable: 'unparsable',
+};
+
+/**
+ * "status": report the embedded marker and whether the file still matches it
+ * @param {string} cliPath - Path to cli.js (io.STDIO for stdin)
+ * @param {string} content - cli.js content
+ * @param {object} engine - {inspect(cliPath, content), label(step id): display name}
+ * @returns {number} Exit code
+ */
+function runStatus(cliPath, content, { inspect, label = id => id }) {
+  const { version, state, meta, patched } = inspect(cliPath, content);
+  console.log(`📦 Version: ${version}\n`);
+  if (state === 'unparsable') return EXIT.GENERAL_ERROR;
+  report.set({ version, state, marker: meta });
+
+  if (state === 'pristine') {
+    console.log('✅ Not patched');
+    return EXIT.SUCCESS;
+  }
+  if (state === 'foreign') {
+    console.log('⚠️  Patched, but without a thinker marker (another tool or an older thinker)');
+    for (const name of patched) console.log(`   • ${name}`);
+    return EXIT.SUCCESS;
+  }
+
+  console.log(`📌 Patched by ${meta.tool} ${meta.thinkerVersion} (${meta.engine} engine, recipe ${meta.recipe})`);
+  console.log(`   Patched at: ${meta.timestamp}`);
+  for (const [id, info] of Object.entries(meta.steps)) {
+    console.log(`   ✅ ${label(id)} (${info.recipe}${info.color ? `, ${info.color}` : ''})`);
+  }
+  console.log(`   Original hash: ${meta.originalHash.slice(0, 12)}`);
+
+  if (cliPath !== io.STDIO) {
+    const backup = backups.listBackups(cliPath).find(entry => meta.originalHash.startsWith(entry.hash));
+    console.log(`   Original backup: ${backup ? backup.file : 'not found'}`);
+  }
+
+  if (state === 'modified') {
+    console.log('\n⚠️  cli.js was modified after thinker patched it');
+  } else {
+    console.log('\n✅ File unchanged since patching');
+  }
+  return EXIT.SUCCESS;
+}
+
+module.exports = { STATE_LABELS, runStatus };
@@ -0,0 +1,83 @@
+/**
+ * Theme and color presets shared by both engines and the runtime hook
+ */
+
+// Preset theme combos (header + content)
+const THEME_PRESETS = {
+  'watermelon': { header: '#32cd32', content: '#FF77FF' },
+  'emerald-saffron': { header: '#00C853', content: '#F4C24D' },
+  'bubblegum': { header: '#87ceeb', content: '#FF77FF' },
+  'carrot': { header: '#ff8c00', content: '#32cd32' },
+  'autumn': { header: '#FFBF00', content: '#D2691E' },
+  'ocean': { header: '#98D8C8', content: '#20B2AA' },
+  'forest': { header: '#90EE90', content: '#228B22' },
+  'cherry-blossom': { header: '#FF69B4', content: '#FFB6C1' },
+  'cyberpunk': { header: '#FCE300', content: '#00F0FF' },
+};
+
+// Preset color themes (using hex for reliability with Ink)
+const COLOR_PRESETS = {
+  'dim': null,           // Default dimmed gray
+  'cyan': '#00ffff',
+  'green': '#32cd32',
+  'magenta': '#ff00ff',
+  'yellow': '#ffff00',
+  'blue': '#4169e1',
+  'red': '#ff4444',
+  'white': '#ffffff',
+  'pink': '#ff69b4',
+  'orange': '#ff8c00',
+  'purple': '#9370db',
+  'teal': '#20b2aa',
+  'gold': '#ffd700',
+  'lime': '#00ff00',
+  'coral': '#ff7f50',
+  'sky': '#87ceeb',
+};
+
+/**
+ * Validate and normalize a color value
+ * Security: Prevents code injection through color values
+ * @param {string} color - Color name or hex value
+ * @returns {string} - Validated color value
+ * @throws {Error} - If color is invalid
+ */
+function validateColor(color) {
+  if (color === null || color === undefined) return null;
+
+  // Check preset colors (use hasOwnProperty to avoid prototype pollution)
+  if (Object.prototype.hasOwnProperty.call(COLOR_PRESETS, color)) {
+    return COLOR_PRESETS[color];
+  }
+
+  // Only allow valid hex: #RGB or #RRGGBB (not #RGBA or #RRGGBBAA)
+  if (/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(color)) {
+    return color;
+  }
+
+  throw new Error(`Invalid color "${color}". Use a preset name or hex value (#RGB or #RRGGBB).`);
+}
+
+// "#98D8C8" -> text in that color (24-bit ANSI), plain text when not a TTY
+function swatch(hex, text) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match || !process.stdout.isTTY) return text;
+  const [r, g, b] = match.slice(1).map(part => parseInt(part, 16));
+  return `\x1b[38;2;${r};${g};${b}m${text}\x1b[0m`;
+}
+
+// "thinker themes": every theme and color preset, previewed in its colors
+function formatThemes() {
+  const lines = ['Theme presets (--theme=NAME):'];
+  for (const [name, { header, content }] of Object.entries(THEME_PRESETS)) {
+    lines.push(`  ${name.padEnd(16)} ${swatch(header, `∴ Thinking… ${header}`)}  ${swatch(content, `content ${content}`)}`);
+  }
+  lines.push('', 'Color presets (--color / --content-color):');
+  for (const [name, hex] of Object.entries(COLOR_PRESETS)) {
+    lines.push(`  ${name.padEnd(16)} ${hex ? swatch(hex, hex) : '(default dim gray)'}`);
+  }
+  lines.push('', 'Any #RGB / #RRGGBB hex value also works.');
+  return lines.join('\n');
+}
+
+module.exports = { THEME_PRESETS, COLOR_PRESETS, validateColor, formatThemes };
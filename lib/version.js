@@ -0,0 +1,41 @@
+/**
+ * Claude Code version of a cli.js, shared by both engines so backups and
+ * markers are keyed the same whichever engine wrote them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const io = require('./io');
+
+// Extract version from the cli.js "// Version:" banner
+function getVersion(content) {
+  const match = content.match(/\/\/ Version: ([\d.]+)/);
+  return match ? match[1] : 'unknown';
+}
+
+// Parse "2.1.69" (or "2.1.69-beta.1") into [2, 1, 69]; null when not a version
+function parseVersion(version) {
+  const match = /^v?(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+}
+
+/**
+ * Resolve the installed version: cli.js banner first, then the package.json beside it
+ * @returns {object} {version ('unknown' when neither has one), source: 'cli.js', 'package.json' or null}
+ */
+function getInstalledVersion(cliPath, content) {
+  const fromBanner = getVersion(content);
+  if (fromBanner !== 'unknown') return { version: fromBanner, source: 'cli.js' };
+  if (cliPath === io.STDIO) return { version: 'unknown', source: null };
+
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(path.dirname(cliPath), 'package.json'), 'utf8'));
+    if (typeof pkg.version === 'string' && parseVersion(pkg.version)) {
+      return { version: pkg.version, source: 'package.json' };
+    }
+  } catch (e) {}
+
+  return { version: 'unknown', source: null };
+}
+
+module.exports = { getVersion, parseVersion, getInstalledVersion };
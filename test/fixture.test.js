@@ -0,0 +1,49 @@
+/**
+ * extract-fixture (lib/fixture.js): the cut-down file keeps what the regex engine detects
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const thinker = require('../thinker');
+const { extractFixture } = require('../lib/fixture');
+const { LAYOUTS, readFixture } = require('./helpers');
+
+function recipes(content, version) {
+  const { steps } = thinker.detectPatches(content, version);
+  return Object.fromEntries(Object.entries(steps).map(([id, hit]) => [id, hit && hit.recipe.id]));
+}
+
+// Functions kept per layout, in file order; the legacy banner has none of the anchors
+const REGIONS = {
+  'legacy': ['YW1', 'Mr'],
+  'v2.1.17': ['YW1', 'Mr', 'oO', 'M8'],
+  'v2.1.32': ['Cj6', 'Kw', '$J', 'R3'],
+  'v2.1.49': ['Nk', 'Mr', 'eJ', 'f3'],
+  'v2.1.69': ['Dk', 'Mr', 'eJ', 'f3'],
+};
+
+for (const layout of LAYOUTS) {
+  describe(`extract-fixture on the ${layout} layout`, () => {
+    const content = readFixture(layout);
+    const version = thinker.getVersion(content);
+    const anchored = thinker.detectThinkingContentAnchored(content);
+    const contentHit = thinker.detectPatches(content, version).steps.contentColor;
+    const components = anchored ? [anchored.contentComponent] : contentHit ? [contentHit.info.contentComponent] : [];
+    const fixture = extractFixture(content, { version, components });
+
+    test('keeps the enclosing functions with their byte ranges', () => {
+      assert.deepEqual(fixture.regions.map(region => region.name), REGIONS[layout]);
+      for (const { name, bytes } of fixture.regions) {
+        const original = Buffer.from(content).subarray(bytes[0], bytes[1]).toString();
+        assert.ok(fixture.source.includes(`// bytes ${bytes[0]}-${bytes[1]}: ${name} (`), name);
+        assert.ok(fixture.source.includes(original), `${name}: code differs from bytes ${bytes.join('-')}`);
+      }
+    });
+
+    test('parses and detects the same recipe per step', () => {
+      assert.equal(thinker.checkSyntax(fixture.source).ok, true);
+      assert.equal(thinker.getVersion(fixture.source), version);
+      assert.deepEqual(recipes(fixture.source, version), recipes(content, version));
+    });
+  });
+}
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Version: 1.0.98
+// Synthetic pre-v2.1 layout: the streamMode banner component and an unbraced
+// "thinking" case in the message switch
+var R9={createElement:function(){return null},useState:function(v){return[v,function(){}]},useEffect:function(){}},T="Text";
+function wQ1({streamMode:A}){let[B,Q]=R9.useState(null),[I,G]=R9.useState(null);if(R9.useEffect(()=>{if(A==="thinking")Q(Date.now());else G(B)},[A,B]),A==="thinking"&&B)return R9.createElement(T,{dimColor:!0},"✻ Thinking… (ctrl+o to show thinking)");return null}
+function YW1({param:A,isTranscriptMode:D,verbose:H}){return R9.createElement(T,{dimColor:!0,italic:!0},A.thinking)}
+function Mr({message:Q,addMargin:Y,isTranscriptMode:D,verbose:H}){switch(Q.type){case"thinking":if(!D&&!H)return null;return R9.createElement(YW1,{addMargin:Y,param:Q,isTranscriptMode:D,verbose:H});default:return null}}
+module.exports={wQ1,YW1,Mr};
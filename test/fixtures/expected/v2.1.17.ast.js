@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Version: 2.1.17
+// Synthetic v2.1.17 layout: single-literal collapsed and expanded headers, collapsed view
+// behind a direct guard, 2-variable guard in the message switch, content rendered by oO → M8
+var mP={default:{createElement:function(){return null},memo:function(f){return f}}},R=mP,T="Text",b="Box",$="Text",DF="Text";
+function A1(n){return new Array(n)}
+function Lx(A){return[A]}
+function YW1(A){let q=A1(12),{param:K,addMargin:Y,isTranscriptMode:z,verbose:w}=A;if(!1){return R.default.createElement(T,{dimColor:!0,italic:!0},"∴ Thinking (ctrl+o to expand)")}return R.default.createElement(b,{flexDirection:"column",marginTop:Y?1:0},R.default.createElement($,{dimColor:!0,italic:!0},"∴ Thinking…"),R.default.createElement(b,{paddingLeft:2},R.default.createElement(oO,null,K)))}
+function Mr(A){let{message:q,addMargin:Y,isTranscriptMode:D,verbose:H,hideInTranscript:X}=A;switch(q.type){case"thinking":{return R.default.createElement(YW1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1})}default:return null}}
+function oO({children:A}){let W=[];for(let O of A.split("\n\n"))W.push(R.default.createElement(M8,{key:W.length},O.trim()));return R.default.createElement(b,{flexDirection:"column"},W)}
+var M8=mP.default.memo(function({children:A,color:$MC}){let H=Lx(A);if(H.length===1&&typeof H[0]==="string")return R.default.createElement(DF,{color:$MC},A);return R.default.createElement(DF,{color:$MC},H.map(function(M,i){if(typeof M==="string")return R.default.createElement(DF,{color:$MC},M);let S={key:i};for(let k of Object.keys(M.style))S[k]=M.style[k];return R.default.createElement(DF,S,M.text)}))});
+module.exports={YW1,Mr,oO,M8};
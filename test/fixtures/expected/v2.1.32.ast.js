@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Version: 2.1.32
+// Synthetic v2.1.32 layout: header text cached in a variable, collapsed view behind the
+// transcript flag alone, memoized guard flag before the message switch, content rendered by $J → R3
+var mP={default:{createElement:function(){return null},memo:function(f){return f}}},R=mP,f="Text",I="Box",a_="Text";
+function A1(n){return new Array(n)}
+function Cj6(A){let q=A1(10),{param:K,addMargin:Y,isTranscriptMode:z,hideInTranscript:w}=A,W;if(q[0]===Symbol.for("react.memo_cache_sentinel"))W="∴ Thinking",q[0]=W;else W=q[0];let D=z,j;if(!1)j=R.default.createElement(f,{dimColor:!0,italic:!0},W," (ctrl+o",' to expand)');else j=R.default.createElement(I,{flexDirection:"column"},R.default.createElement(f,{italic:!0,color:"#98D8C8"},W,"…"),R.default.createElement(I,{paddingLeft:2},R.default.createElement($J,{dimColor:!0},K)));return j}
+function Kw(A){let q=A1(3),{message:X,addMargin:Y,isTranscriptMode:j,hideInTranscript:H}=A,V;if(q[0]===Symbol.for("react.memo_cache_sentinel"))V=!1,q[0]=V;else V=q[0];let Z=V;switch(X.type){case"thinking":{let K=X.thinking;return R.default.createElement(Cj6,{addMargin:Y,param:K,isTranscriptMode:!0,hideInTranscript:!1})}default:return null}}
+function $J(A){let q=A1(5),{children:K,dimColor:Y}=A,W=[];for(let O of K.split("\n\n"))W.push(R.default.createElement(R3,{key:W.length,dimColor:Y},O.trim()));return R.default.createElement(I,{flexDirection:"column"},W)}
+var R3=mP.default.memo(function(q){let K=A1(9),{children:Y,dimColor:z}=q,H=[{text:Y}];if(H.length===1)return R.default.createElement(a_,{dim:!0},Y);return R.default.createElement(a_,null,H.map(function(M,i){return R.default.createElement(a_,{key:i},M.text)}))});
+module.exports={Cj6,Kw,$J,R3};
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Version: 2.1.49
+// Synthetic v2.1.49 layout: header text cached in a variable, collapsed view behind an
+// intermediate flag, 3-variable guard in the message switch, content rendered by eJ → f3
+var mP={default:{createElement:function(){return null},memo:function(f){return f}}},R=mP,T="Text",b="Box";
+function A1(n){return new Array(n)}
+function Nk(A){let q=A1(14),{param:K,addMargin:Y,isTranscriptMode:z,verbose:w,hideInTranscript:$}=A,D;if(q[0]===Symbol.for("react.memo_cache_sentinel"))D="∴ Thinking",q[0]=D;else D=q[0];let X=!0;if(!X)return R.default.createElement(T,{dimColor:!0,italic:!0},D," (ctrl+o",' to expand)');return R.default.createElement(b,{flexDirection:"column"},R.default.createElement(T,{italic:!0,color:"#98D8C8"},D,"…"),R.default.createElement(b,{paddingLeft:2},R.default.createElement(eJ,{dimColor:!0,color:'#20B2AA'},K)))}
+function Mr(A){let{message:q,addMargin:Y,isTranscriptMode:X,verbose:T_,hideInTranscript:$}=A,j=X;switch(q.type){case"thinking":{if(!1)return null;return R.default.createElement(Nk,{addMargin:Y,param:q.thinking,isTranscriptMode:X,verbose:T_,hideInTranscript:$})}default:return null}}
+function eJ(A){let K=A1(5),{children:Y,dimColor:z,color:$tc}=A,W=[];for(let O of Y.split("\n\n"))W.push(R.default.createElement(f3,{key:W.length,dimColor:z,color:$tc},O.trim()));return R.default.createElement(b,{flexDirection:"column"},W)}
+var f3=mP.default.memo(function(q){let K=A1(9),{children:Y,dimColor:z,color:$fc}=q,H=[{text:Y}];if(H.length===1)return R.default.createElement(T,{dim:!0,color:$fc},Y);return R.default.createElement(T,{color:$fc},H.map(function(M,i){let S={};if(z)S.dim=!0;if($fc)S.color=$fc;return R.default.createElement(T,Object.assign({key:i},S),M.text)}))});
+module.exports={Nk,Mr,eJ,f3};
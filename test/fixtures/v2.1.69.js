@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Version: 2.1.69
+// Synthetic v2.1.69 layout: header text as two literals, collapsed view behind a direct
+// guard, 2-variable guard in the message switch, content rendered by eJ → f3
+var mP={default:{createElement:function(){return null},memo:function(f){return f}}},R=mP,T="Text",b="Box";
+function A1(n){return new Array(n)}
+function Dk(A){let q=A1(12),{param:K,addMargin:Y,isTranscriptMode:z,verbose:w,hideInTranscript:$}=A;if(!(z||w)){return R.default.createElement(T,{dimColor:!0,italic:!0},"∴ Thinking"," (ctrl+o",' to expand)')}return R.default.createElement(b,{flexDirection:"column"},R.default.createElement(T,{dimColor:!0,italic:!0},"∴ Thinking","…"),R.default.createElement(b,{paddingLeft:2},R.default.createElement(eJ,{dimColor:!0},K)))}
+function Mr(A){let{message:q,addMargin:Y,isTranscriptMode:D,verbose:_}=A;switch(q.type){case"thinking":{if(!D&&!_)return null;return R.default.createElement(Dk,{addMargin:Y,param:q.thinking,isTranscriptMode:D,verbose:_,hideInTranscript:!1})}default:return null}}
+function eJ(A){let K=A1(5),{children:Y,dimColor:z}=A,W=[];for(let O of Y.split("\n\n"))W.push(R.default.createElement(f3,{key:W.length,dimColor:z},O.trim()));return R.default.createElement(b,{flexDirection:"column"},W)}
+var f3=mP.default.memo(function(q){let K=A1(9),{children:Y,dimColor:z}=q,H=[{text:Y}];if(H.length===1)return R.default.createElement(T,{dim:!0},Y);return R.default.createElement(T,null,H.map(function(M,i){let S={};if(z)S.dim=!0;return R.default.createElement(T,Object.assign({key:i},S),M.text)}))});
+module.exports={Dk,Mr,eJ,f3};
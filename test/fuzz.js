@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Mangling-robustness fuzzer for both engines' detectors
+ *
+ * Every fixture is mangled the way a new minifier run could (test/mangle.js) and
+ * put through each engine. A detector fails a run when it loses a site it finds
+ * on the pristine fixture, picks another recipe, or captures a variable other
+ * than the renamed original; "patch" fails when the full patch no longer applies
+ * and verifies. Each mutation runs alone and all together, so a failure points at
+ * what the detector depends on.
+ *
+ * Usage:
+ *   node test/fuzz.js [--runs=N] [--seed=N] [--layout=NAME] [--mutations=rename,reorder,default]
+ *   node test/fuzz.js --layout=v2.1.49 --seed=17 --runs=1 --mutations=rename --dump=mangled.js
+ *
+ * --dump writes the last mangled file, for replaying one failing run.
+ *
+ * Exits 1 when any detector failed a run. Not part of "npm test": the current
+ * detectors are expected to fail here until they stop relying on identifier shapes.
+ */
+
+const fs = require('fs');
+const thinker = require('../thinker');
+const ast = require('../thinker-ast');
+const selection = require('../lib/selection');
+const { MUTATIONS, mangle } = require('./mangle');
+const { LAYOUTS, COLORS, readFixture } = require('./helpers');
+
+const ALL_STEPS = new Set(selection.PATCH_IDS);
+
+// Detector fields that are not variable names
+const NOT_NAMES = new Set(['fullMatch', 'version', 'patternType']);
+
+function parseArgs(argv) {
+  const options = { runs: 50, seed: 1, layouts: LAYOUTS, mutations: MUTATIONS, dump: null };
+  for (const arg of argv) {
+    const [, name, value] = arg.match(/^--([a-z]+)=(.*)$/) || [];
+    if (name === 'runs' || name === 'seed') options[name] = Number(value);
+    else if (name === 'layout') options.layouts = value.split(',');
+    else if (name === 'mutations') options.mutations = value.split(',');
+    else if (name === 'dump') options.dump = value;
+    else throw new Error(`unknown argument ${arg}`);
+  }
+  const unknown = [...options.layouts.filter(l => !LAYOUTS.includes(l)), ...options.mutations.filter(m => !MUTATIONS.includes(m))];
+  if (unknown.length > 0) throw new Error(`unknown layout or mutation: ${unknown.join(', ')}`);
+  if (!(options.runs > 0) || !Number.isInteger(options.seed)) throw new Error('--runs and --seed take integers');
+  return options;
+}
+
+/**
+ * Compare the variables a detector captured with the renamed originals
+ * @returns {string|null} First mismatch, e.g. 'transcriptVar: z → expected Q$, got w'
+ */
+function compareCaptures(original, mangled, renames) {
+  for (const [field, value] of Object.entries(original)) {
+    if (NOT_NAMES.has(field)) continue;
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(v => typeof v === 'string' && v in renames)) continue;
+    const expected = values.map(v => renames[v]);
+    const actual = Array.isArray(mangled[field]) ? mangled[field] : [mangled[field]];
+    if (expected.join() !== actual.join()) {
+      return `${field}: ${values.join()} → expected ${expected.join()}, got ${actual.join()}`;
+    }
+  }
+  return null;
+}
+
+// "patch" fails when the mangled file gets fewer steps than the pristine one, or none verify
+function comparePatch(expected, applied) {
+  if (!expected || expected.length === 0) return {};
+  if (!applied) return { patch: 'does not verify' };
+  if (applied.join() !== expected.join()) return { patch: `applies ${applied.join(', ') || 'nothing'} of ${expected.join(', ')}` };
+  return {};
+}
+
+// Steps the regex engine detects, and the ones it applies when the result verifies
+function runRegex(content) {
+  const version = thinker.getVersion(content);
+  const detections = thinker.detectPatches(content, version);
+  let applied = null;
+  try {
+    const { patched, results } = thinker.applyPatches(content, detections, COLORS);
+    if (thinker.verifyOutput(content, patched, { detections, results, colors: COLORS, version }).ok) {
+      applied = results.filter(r => r.status === 'applied').map(r => r.step.id);
+    }
+  } catch (e) {
+    applied = null;
+  }
+  return { detections, applied };
+}
+
+function checkRegex(baseline, content, renames) {
+  const { detections, applied } = runRegex(content);
+  const failures = {};
+  for (const [id, hit] of Object.entries(baseline.detections.steps)) {
+    if (!hit) continue;
+    const found = detections.steps[id];
+    const name = `${id} [${hit.recipe.id}]`;
+    if (!found) failures[name] = 'not found';
+    else if (found.recipe.id !== hit.recipe.id) failures[name] = `found by recipe ${found.recipe.id}`;
+    else {
+      const mismatch = compareCaptures(hit.info, found.info, renames);
+      if (mismatch) failures[name] = mismatch;
+    }
+  }
+  return { ...failures, ...comparePatch(baseline.applied, applied) };
+}
+
+// Detections of the AST engine, and the steps it applies when the result verifies
+function runAst(content) {
+  const tree = ast.parseWithAcorn(content);
+  const detections = ast.detectPatterns(tree, content);
+  let applied = null;
+  try {
+    const { code, error } = ast.applyPatches(content, tree, detections, COLORS);
+    if (!error && ast.verifyPatchedCode(code, COLORS).valid) applied = ast.appliedSteps(detections, COLORS, ALL_STEPS);
+  } catch (e) {
+    applied = null;
+  }
+  return { detections, applied };
+}
+
+function checkAst(baseline, content, renames) {
+  const { detections, applied } = runAst(content);
+  const failures = {};
+  for (const [name, result] of Object.entries(baseline.detections)) {
+    if (!result.success) continue;
+    const found = detections[name];
+    if (!found.success) failures[name] = found.error || 'not found';
+    else {
+      const mismatch = compareCaptures(result, found, renames);
+      if (mismatch) failures[name] = mismatch;
+    }
+  }
+  return { ...failures, ...comparePatch(baseline.applied, applied) };
+}
+
+const ENGINES = {
+  regex: { run: runRegex, check: checkRegex },
+  ast: { run: runAst, check: checkAst },
+};
+
+/**
+ * Fuzz one layout
+ * @returns {object} {columns: mutation names and 'all', rows: [{engine, detector,
+ *   columns: {column: {failed, example: {seed, mutations, reason}}}}]}
+ */
+function fuzzLayout(layout, options) {
+  const content = readFixture(layout);
+  const columns = options.mutations.length > 1 ? [...options.mutations.map(m => [m]), options.mutations] : [options.mutations];
+  const rows = new Map();
+
+  for (const [engine, { run, check }] of Object.entries(ENGINES)) {
+    const baseline = run(content);
+    for (const mutations of columns) {
+      const column = mutations.length > 1 ? 'all' : mutations[0];
+      for (let i = 0; i < options.runs; i++) {
+        const seed = options.seed + i;
+        const { code, renames } = mangle(content, { seed, mutations });
+        if (options.dump) fs.writeFileSync(options.dump, code);
+        let failures;
+        try {
+          failures = check(baseline, code, renames);
+        } catch (e) {
+          failures = { engine: `threw ${e.message}` };
+        }
+        for (const [detector, reason] of Object.entries(failures)) {
+          const key = `${engine} ${detector}`;
+          if (!rows.has(key)) rows.set(key, { engine, detector, columns: {} });
+          const cell = rows.get(key).columns[column] || (rows.get(key).columns[column] = { failed: 0, example: null });
+          cell.failed++;
+          if (!cell.example) cell.example = { seed, mutations, reason };
+        }
+      }
+    }
+  }
+  return { columns: columns.map(m => (m.length > 1 ? 'all' : m[0])), rows: [...rows.values()] };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(2);
+  }
+
+  // The AST engine warns about sites it skips; the table reports them instead
+  console.warn = () => {};
+
+  console.log(`🎲 Fuzzing ${options.layouts.length} layout(s) × ${options.runs} run(s), seeds ${options.seed}-${options.seed + options.runs - 1}, mutations: ${options.mutations.join(', ')}\n`);
+  let failing = 0;
+  for (const layout of options.layouts) {
+    const { columns, rows } = fuzzLayout(layout, options);
+    if (rows.length === 0) {
+      console.log(`✅ ${layout}: no detector failed\n`);
+      continue;
+    }
+    failing += rows.length;
+    console.log(`❌ ${layout}: failed runs per mutation`);
+    console.log(`   ${'engine'.padEnd(7)}${'detector'.padEnd(30)}${columns.map(c => c.padStart(9)).join('')}`);
+    for (const { engine, detector, columns: cells } of rows) {
+      const counts = columns.map(c => `${cells[c] ? cells[c].failed : 0}/${options.runs}`.padStart(9));
+      console.log(`   ${engine.padEnd(7)}${detector.padEnd(30)}${counts.join('')}`);
+    }
+    console.log('   First failure of each:');
+    for (const { engine, detector, columns: cells } of rows) {
+      const { seed, mutations, reason } = Object.values(cells)[0].example;
+      console.log(`   • ${engine} ${detector}: ${reason}`);
+      console.log(`     node test/fuzz.js --layout=${layout} --seed=${seed} --runs=1 --mutations=${mutations.join(',')} --dump=mangled.js`);
+    }
+    console.log('');
+  }
+
+  console.log(failing === 0 ? '✅ Every detector survived every run' : `⚠️  ${failing} detector(s) failed at least one run`);
+  process.exit(failing === 0 ? 0 : 1);
+}
+
+main();
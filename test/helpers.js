@@ -0,0 +1,43 @@
+/**
+ * Shared fixture access for the engine test suites
+ *
+ * test/fixtures/<layout>.js is a minimal synthetic cli.js for one minifier layout;
+ * test/fixtures/expected/<layout>.<engine>.js is that file after a patch run with
+ * COLORS. Run with UPDATE_FIXTURES=1 to rewrite the expected files after an
+ * intended change to a patch, then review the diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Oldest first
+const LAYOUTS = ['legacy', 'v2.1.17', 'v2.1.32', 'v2.1.49', 'v2.1.69'];
+
+// The ocean theme, as both engines resolve it
+const COLORS = { headerColor: '#98D8C8', contentColor: '#20B2AA' };
+
+function readFixture(layout) {
+  return fs.readFileSync(path.join(FIXTURES, `${layout}.js`), 'utf8');
+}
+
+// Compare patched output with test/fixtures/expected/<layout>.<engine>.js
+function assertExpected(layout, engine, actual) {
+  const file = path.join(FIXTURES, 'expected', `${layout}.${engine}.js`);
+  if (process.env.UPDATE_FIXTURES) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `${layout}: output differs from ${path.relative(process.cwd(), file)}`);
+}
+
+// The listed properties of a detector result, for deepEqual against captured variables
+function pick(result, keys) {
+  if (!result) return result;
+  return Object.fromEntries(keys.map(key => [key, result[key]]));
+}
+
+module.exports = { LAYOUTS, COLORS, readFixture, assertExpected, pick };
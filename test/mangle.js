@@ -0,0 +1,201 @@
+/**
+ * Minifier-style mutations of a fixture, for the fuzz harness (test/fuzz.js)
+ *
+ * Each mutation keeps the program's meaning and changes only what a new minifier
+ * run could change:
+ * - rename:  every name the file declares gets a random valid minified name,
+ *            consistently across the file (single letters, two letters, digits, $ and _)
+ * - reorder: properties of object literals and destructuring patterns whose values
+ *            have no side effects are shuffled
+ * - default: R.default.createElement ↔ R.createElement (all sites one way)
+ */
+
+const acorn = require('acorn');
+const MagicString = require('magic-string');
+
+const MUTATIONS = ['rename', 'reorder', 'default'];
+
+// Never usable as a binding name
+const RESERVED = new Set(('do if in for let new try var case else enum eval null this true void with break ' +
+  'catch class const false super throw while yield delete export import public return static switch typeof ' +
+  'default extends finally package private continue debugger function arguments interface protected ' +
+  'implements instanceof await async of NaN Infinity undefined').split(' '));
+
+const UPPER = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const LETTERS = UPPER + LOWER;
+const DIGITS = '0123456789';
+
+// Shapes minifiers actually emit; each is equally likely
+const NAME_SHAPES = [
+  (pick) => pick(UPPER),
+  (pick) => pick(LOWER),
+  (pick) => pick(LETTERS) + pick(LETTERS),
+  (pick) => pick(LETTERS) + pick(DIGITS),
+  (pick) => pick(LETTERS) + pick(LETTERS) + pick(DIGITS),
+  (pick) => '$' + pick(LETTERS),
+  (pick) => pick(LETTERS) + '$',
+  (pick) => pick(LETTERS) + '_',
+  (pick) => '_' + pick(LETTERS + DIGITS),
+];
+
+// mulberry32: small seeded PRNG so a failing run can be replayed from its seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parse(code) {
+  return acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', allowHashBang: true, allowReserved: true });
+}
+
+// Visit every node with its parent and the key it hangs off
+function visit(node, callback, parent = null, key = null) {
+  callback(node, parent, key);
+  for (const [childKey, child] of Object.entries(node)) {
+    if (Array.isArray(child)) {
+      for (const item of child) if (item && typeof item.type === 'string') visit(item, callback, node, childKey);
+    } else if (child && typeof child.type === 'string') {
+      visit(child, callback, node, childKey);
+    }
+  }
+}
+
+// Names bound by a declaration pattern
+function patternNames(pattern, names) {
+  if (!pattern) return names;
+  if (pattern.type === 'Identifier') names.add(pattern.name);
+  else if (pattern.type === 'ObjectPattern') pattern.properties.forEach(p => patternNames(p.type === 'RestElement' ? p.argument : p.value, names));
+  else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(e => patternNames(e, names));
+  else if (pattern.type === 'AssignmentPattern') patternNames(pattern.left, names);
+  else if (pattern.type === 'RestElement') patternNames(pattern.argument, names);
+  return names;
+}
+
+function declaredNames(ast) {
+  const names = new Set();
+  visit(ast, (node) => {
+    if (node.type === 'VariableDeclarator') patternNames(node.id, names);
+    if (/Function|Class/.test(node.type) && node.id) names.add(node.id.name);
+    if (/Function/.test(node.type)) node.params.forEach(p => patternNames(p, names));
+    if (node.type === 'CatchClause') patternNames(node.param, names);
+  });
+  return names;
+}
+
+// Identifier nodes that are property names rather than variables
+function isPropertyName(node, parent, key) {
+  if (!parent) return false;
+  if (parent.type === 'MemberExpression') return key === 'property' && !parent.computed;
+  if (parent.type === 'Property' || parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') {
+    return key === 'key' && !parent.computed;
+  }
+  return false;
+}
+
+/**
+ * Give every declared name a new random one
+ * @returns {object} {code, renames: {oldName: newName}}
+ */
+function rename(code, random) {
+  const ast = parse(code);
+  const pick = (chars) => chars[Math.floor(random() * chars.length)];
+  // Any word already in the file is off limits, so a new name never captures another
+  const taken = new Set(code.match(/[A-Za-z0-9_$]+/g));
+  const renames = {};
+  for (const name of declaredNames(ast)) {
+    let next;
+    do {
+      next = NAME_SHAPES[Math.floor(random() * NAME_SHAPES.length)](pick);
+    } while (taken.has(next) || RESERVED.has(next) || /^\d/.test(next));
+    taken.add(next);
+    renames[name] = next;
+  }
+
+  const s = new MagicString(code);
+  visit(ast, (node, parent, key) => {
+    if (node.type !== 'Identifier' || !(node.name in renames) || isPropertyName(node, parent, key)) return;
+    // {children} has to keep its property name: {children:NEW}
+    const shorthand = parent && parent.type === 'Property' && parent.shorthand && key === 'value';
+    s.overwrite(node.start, node.end, shorthand ? `${node.name}:${renames[node.name]}` : renames[node.name]);
+  });
+  return { code: s.toString(), renames };
+}
+
+// Values that can be evaluated in any order (and hold no object to reorder themselves)
+function isIndependent(value) {
+  if (!value) return false;
+  if (value.type === 'Literal' || value.type === 'Identifier') return true;
+  if (value.type === 'UnaryExpression') return isIndependent(value.argument);
+  if (value.type === 'MemberExpression') return !value.computed && isIndependent(value.object);
+  return false;
+}
+
+function isReorderable(node) {
+  if (node.type !== 'ObjectExpression' && node.type !== 'ObjectPattern') return false;
+  return node.properties.length > 1 && node.properties.every(p =>
+    p.type === 'Property' && p.kind === 'init' && !p.computed && !p.method && isIndependent(p.value));
+}
+
+// Shuffle the properties of about half the objects that allow it
+function reorder(code, random) {
+  const s = new MagicString(code);
+  visit(parse(code), (node) => {
+    if (!isReorderable(node) || random() < 0.5) return;
+    const texts = node.properties.map(p => code.slice(p.start, p.end));
+    const shuffled = [...texts];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    node.properties.forEach((p, i) => s.overwrite(p.start, p.end, shuffled[i]));
+  });
+  return s.toString();
+}
+
+// Drop .default from every X.default.Y, or add it to every X.createElement/memo
+function toggleDefault(code) {
+  const ast = parse(code);
+  const withDefault = [];
+  const withoutDefault = [];
+  visit(ast, (node) => {
+    if (node.type !== 'MemberExpression' || node.computed || node.object.type !== 'MemberExpression') return;
+    const inner = node.object;
+    if (!inner.computed && inner.property.name === 'default' && inner.object.type === 'Identifier') withDefault.push(inner);
+  });
+  visit(ast, (node) => {
+    if (node.type !== 'MemberExpression' || node.computed || node.object.type !== 'Identifier') return;
+    if (['createElement', 'memo', 'Fragment'].includes(node.property.name)) withoutDefault.push(node);
+  });
+
+  const s = new MagicString(code);
+  if (withDefault.length > 0) {
+    for (const inner of withDefault) s.remove(inner.object.end, inner.end);
+  } else {
+    for (const node of withoutDefault) s.appendLeft(node.object.end, '.default');
+  }
+  return s.toString();
+}
+
+/**
+ * Apply the selected mutations to a fixture
+ * @param {string} code - Fixture source
+ * @param {object} options - {seed, mutations: subset of MUTATIONS}
+ * @returns {object} {code, renames: {oldName: newName}} - renames is empty without 'rename'
+ */
+function mangle(code, { seed, mutations = MUTATIONS }) {
+  const random = createRandom(seed);
+  let result = code;
+  if (mutations.includes('default')) result = toggleDefault(result);
+  if (mutations.includes('reorder')) result = reorder(result, random);
+  if (!mutations.includes('rename')) return { code: result, renames: {} };
+  return rename(result, random);
+}
+
+module.exports = { MUTATIONS, mangle };
@@ -0,0 +1,44 @@
+/**
+ * Running sessions (lib/processes.js): which node processes count as running a cli.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const sessions = require('../lib/processes');
+
+describe('scriptArgument()', () => {
+  test('skips the values of preload options', () => {
+    assert.equal(sessions.scriptArgument(['node', '--require', '/opt/thinker-hook.js', 'cli.js']), 'cli.js');
+    assert.equal(sessions.scriptArgument(['node', '-r', 'x', '--import', 'y.mjs', 'cli.js', '--version']), 'cli.js');
+    assert.equal(sessions.scriptArgument(['node', '--require=/opt/thinker-hook.js', 'cli.js']), 'cli.js');
+    assert.equal(sessions.scriptArgument(['node', '--experimental-loader', 'l.mjs', '--', 'cli.js']), 'cli.js');
+  });
+
+  test('finds no script when node evaluates code instead', () => {
+    assert.equal(sessions.scriptArgument(['node', '-e', 'require("./cli.js")']), null);
+    assert.equal(sessions.scriptArgument(['node', '--require', 'cli.js']), null);
+  });
+});
+
+describe('findCliProcesses()', () => {
+  test('sees a session started through the preload hook', { skip: !fs.existsSync('/proc/self/cmdline') }, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thinker-sessions-'));
+    const cliPath = path.join(dir, 'cli.js');
+    const hookPath = path.join(dir, 'hook.js');
+    fs.writeFileSync(cliPath, 'setTimeout(() => {}, 30000);\n');
+    fs.writeFileSync(hookPath, '');
+    const child = spawn(process.execPath, ['--require', hookPath, cliPath], { stdio: 'ignore' });
+    try {
+      await new Promise(resolve => child.once('spawn', resolve));
+      const { processes } = sessions.findCliProcesses(cliPath);
+      assert.deepEqual(processes.map(p => p.pid), [child.pid]);
+    } finally {
+      child.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * AST engine (thinker-ast.js): detector captures, patch output and re-runs per layout
+ */
+
+const { describe, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ast = require('../thinker-ast');
+const selection = require('../lib/selection');
+const { LAYOUTS, COLORS, readFixture, assertExpected, pick } = require('./helpers');
+
+const ALL_STEPS = new Set(selection.PATCH_IDS);
+
+// applyPatches() warns when content color has no M8 component; CAPTURES covers that
+mock.method(console, 'warn', () => {});
+
+// Reduce a detector result to the variables it captured; failures to their error code
+const SUMMARIES = {
+  expandedHeader: (r) => pick(r, ['reactVar', 'textElement', 'isIndirect', 'variableName', 'isPatched']),
+  collapsedView: (r, code) => ({
+    ...pick(r, ['transcriptVar', 'verboseVar', 'isPatched']),
+    condition: code.slice(r.conditionStart, r.conditionEnd),
+  }),
+  switchCase: (r, code) => ({
+    guard: code.slice(r.guardStart, r.guardEnd),
+    props: code.slice(r.propsStart, r.propsEnd),
+    isPatched: r.isPatched,
+  }),
+  contentWrapper: (r) => pick(r, ['reactVar', 'contentComponent', 'contentVar', 'isPatched']),
+  m8Component: (r) => ({ ...pick(r, ['reactVar', 'childrenVar', 'rootElement', 'isPatched']), createCalls: r.dfCreateCalls.length }),
+};
+
+function summarize(detections, code) {
+  return Object.fromEntries(Object.entries(detections).map(([name, result]) =>
+    [name, result.success ? SUMMARIES[name](result, code) : { error: result.error }]));
+}
+
+// Detector results per layout, errors included. The AST engine does not yet
+// patch the header color on legacy, v2.1.17 and v2.1.69 (the header literal
+// is missing or not unique), the collapsed view on legacy and v2.1.69, or the
+// content color on legacy, v2.1.32, v2.1.49 and v2.1.69 (no M8 component it
+// recognizes). The errors are pinned so that a detector which starts or stops
+// matching fails here, and APPLIED below is updated with it.
+const CAPTURES = {
+  'legacy': {
+    expandedHeader: { error: 'NOT_FOUND' },
+    collapsedView: { error: 'NOT_FOUND' },
+    switchCase: {
+      guard: 'if(!D&&!H)return null;',
+      props: '{addMargin:Y,param:Q,isTranscriptMode:D,verbose:H}',
+      isPatched: false,
+    },
+    contentWrapper: { error: 'HEADER_NOT_FOUND' },
+    m8Component: { error: 'NOT_FOUND' },
+  },
+  'v2.1.17': {
+    // The collapsed "∴ Thinking (" literal also sits in a createElement call
+    expandedHeader: { error: 'AMBIGUOUS' },
+    collapsedView: { transcriptVar: 'z', verboseVar: 'w', isPatched: false, condition: '!(z||w)' },
+    switchCase: {
+      guard: 'if(!D&&!H)return null;',
+      props: '{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:X}',
+      isPatched: false,
+    },
+    contentWrapper: { error: 'HEADER_NOT_FOUND' },
+    m8Component: { reactVar: 'mP', childrenVar: 'A', rootElement: 'DF', isPatched: false, createCalls: 3 },
+  },
+  'v2.1.32': {
+    expandedHeader: { reactVar: null, textElement: null, isIndirect: true, variableName: 'W', isPatched: false },
+    collapsedView: { transcriptVar: 'D', verboseVar: null, isPatched: false, condition: '!D' },
+    switchCase: {
+      guard: 'if(!j&&!Z)return null;',
+      props: '{addMargin:Y,param:K,isTranscriptMode:j,hideInTranscript:H}',
+      isPatched: false,
+    },
+    contentWrapper: { reactVar: 'R', contentComponent: '$J', contentVar: 'K', isPatched: false },
+    // R3 destructures its props in the body, not the parameter list
+    m8Component: { error: 'NOT_FOUND' },
+  },
+  'v2.1.49': {
+    expandedHeader: { reactVar: null, textElement: null, isIndirect: true, variableName: 'D', isPatched: false },
+    collapsedView: { transcriptVar: 'X', verboseVar: null, isPatched: false, condition: '!X' },
+    switchCase: {
+      guard: 'if(!X&&!j&&!$)return null;',
+      props: '{addMargin:Y,param:q.thinking,isTranscriptMode:X,verbose:T_,hideInTranscript:$}',
+      isPatched: false,
+    },
+    contentWrapper: { reactVar: 'R', contentComponent: 'eJ', contentVar: 'K', isPatched: false },
+    m8Component: { error: 'NOT_FOUND' },
+  },
+  'v2.1.69': {
+    // Both header literals are "∴ Thinking", and two anchors lead to the same guard
+    expandedHeader: { error: 'AMBIGUOUS' },
+    collapsedView: { error: 'AMBIGUOUS' },
+    switchCase: {
+      guard: 'if(!D&&!_)return null;',
+      props: '{addMargin:Y,param:q.thinking,isTranscriptMode:D,verbose:_,hideInTranscript:!1}',
+      isPatched: false,
+    },
+    contentWrapper: { error: 'HEADER_NOT_FOUND' },
+    m8Component: { error: 'NOT_FOUND' },
+  },
+};
+
+// Steps each layout gets, and the ones among them a re-run cannot yet tell apart
+// from an unpatched site (the indirect header keeps no marker; a patched M8 no
+// longer has the null props it is found by)
+const APPLIED = {
+  'legacy': { steps: ['thinkingCase'], unconfirmed: [] },
+  'v2.1.17': { steps: ['collapsedView', 'thinkingCase', 'contentColor'], unconfirmed: ['contentColor'] },
+  'v2.1.32': { steps: ['collapsedView', 'thinkingCase', 'headerColor'], unconfirmed: ['headerColor'] },
+  'v2.1.49': { steps: ['collapsedView', 'thinkingCase', 'headerColor'], unconfirmed: ['headerColor'] },
+  'v2.1.69': { steps: ['thinkingCase'], unconfirmed: [] },
+};
+
+// verifyPatchedCode() check names, by step
+const CHECKS = { collapsedView: 'collapsed_guard', thinkingCase: 'transcript_mode' };
+
+function runPatch(content) {
+  const tree = ast.parseWithAcorn(content);
+  assert.ok(tree, 'fixture does not parse');
+  const detections = ast.detectPatterns(tree, content);
+  const { code } = ast.applyPatches(content, tree, detections, COLORS);
+  return { detections, code };
+}
+
+for (const layout of LAYOUTS) {
+  describe(`thinker-ast.js on the ${layout} layout`, () => {
+    const content = readFixture(layout);
+    const { steps, unconfirmed } = APPLIED[layout];
+
+    test('detectors capture the expected variables', () => {
+      const detections = ast.detectPatterns(ast.parseWithAcorn(content), content);
+      const summary = summarize(detections, content);
+      for (const name of Object.keys(CAPTURES[layout])) {
+        assert.deepEqual(summary[name], CAPTURES[layout][name], name);
+      }
+    });
+
+    test('patches to the expected output', () => {
+      const { detections, code } = runPatch(content);
+      assert.deepEqual(ast.appliedSteps(detections, COLORS, ALL_STEPS), steps);
+      assertExpected(layout, 'ast', code);
+
+      const verification = ast.verifyPatchedCode(code, COLORS);
+      assert.equal(verification.valid, true, verification.error);
+      assert.deepEqual(verification.checks, steps.filter(id => CHECKS[id]).map(id => CHECKS[id]));
+    });
+
+    test('verification checks the applied steps, not only that the output parses', () => {
+      const { code } = runPatch(content);
+      const expected = ast.expectedPatches(steps);
+      const verification = ast.verifyPatchedCode(code, COLORS, expected);
+      assert.equal(verification.valid, true, verification.error);
+      assert.equal(ast.verifyPatchedCode(content, COLORS, expected).valid, false);
+    });
+
+    test('a second run finds the patched steps and changes nothing', () => {
+      const first = runPatch(content);
+      const second = runPatch(first.code);
+      const reapplied = new Set(ast.appliedSteps(second.detections, COLORS, ALL_STEPS));
+      for (const [name, stepId] of Object.entries(ast.MARKER_STEPS)) {
+        if (!steps.includes(stepId)) continue;
+        const reads = unconfirmed.includes(stepId) ? !second.detections[name].isPatched : second.detections[name].isPatched;
+        assert.ok(reads, `${stepId}: ${unconfirmed.includes(stepId) ? 'now reads as patched; drop it from unconfirmed' : 'not detected as patched'}`);
+        if (!unconfirmed.includes(stepId)) assert.ok(!reapplied.has(stepId), `${stepId} would be applied again`);
+      }
+      assert.equal(second.code, first.code);
+    });
+  });
+}
+
+test('applyPatches() returns an ambiguous push pattern as an error instead of exiting', () => {
+  // v2.1.17 with a single header text (so the content wrapper is found) and the push doubled
+  const content = readFixture('v2.1.17')
+    .replace('"∴ Thinking (ctrl+o to expand)"', '"Thinking (ctrl+o to expand)"')
+    .replace(/W\.push\([^;]*\);/, (push) => `{${push}${push}}`);
+  const tree = ast.parseWithAcorn(content);
+  const result = ast.applyPatches(content, tree, ast.detectPatterns(tree, content), COLORS);
+  assert.equal(result.error.code, 'AMBIGUOUS');
+  assert.equal(result.code, content);
+  assert.deepEqual(result.edits, []);
+});
+
+test('applyPatches() reports an indirect header it could not edit as failed, not applied', () => {
+  // v2.1.49 without the "…" anchor the indirect header edit looks for
+  const content = readFixture('v2.1.49').replace('"…"', '"..."');
+  const tree = ast.parseWithAcorn(content);
+  const { results } = ast.applyPatches(content, tree, ast.detectPatterns(tree, content), { headerColor: '#ff0000' });
+  assert.deepEqual(results.find(result => result.id === 'headerColor'), { id: 'headerColor', status: 'failed' });
+  assert.ok(!ast.editedSteps(results).includes('headerColor'));
+});
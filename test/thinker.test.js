@@ -0,0 +1,234 @@
+/**
+ * Regex engine (thinker.js): detector captures, patch output and re-runs per layout
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const thinker = require('../thinker');
+const { LAYOUTS, COLORS, readFixture, assertExpected, pick } = require('./helpers');
+
+// What each detector captures from the pristine fixture
+// The legacy and v2.1.17 detectors are kept for reference; no recipe uses them.
+const CAPTURES = {
+  'legacy': [
+    { detector: 'extractBannerFunction', captures: { funcName: 'wQ1' } },
+    {
+      detector: 'detectThinkingPattern',
+      captures: {
+        guardVar1: 'D', guardVar2: 'H', reactVar: 'R9', componentName: 'YW1',
+        addMarginVar: 'Y', paramVar: 'Q', transcriptVar: 'D', verboseVar: 'H', version: 'legacy',
+      },
+    },
+  ],
+  'v2.1.17': [
+    {
+      detector: 'extractThinkingComponent',
+      captures: { fullMatch: 'if(!(z||w)){', transcriptVar: 'z', verboseVar: 'w', isPatched: false },
+    },
+    {
+      detector: 'detectThinkingPatternV2',
+      captures: {
+        guardVar1: 'D', guardVar2: 'H', componentName: 'YW1', addMarginVar: 'Y', paramVar: 'q',
+        transcriptVar: 'D', verboseVar: 'H', hideInTranscriptVar: 'X',
+      },
+    },
+    {
+      detector: 'detectExpandedHeader',
+      captures: { reactVar: 'R', textElement: '$', isPatched: false },
+    },
+    {
+      detector: 'detectThinkingContentAnchored',
+      captures: { reactVar: 'R', contentComponent: 'oO', contentProps: 'null', contentVar: 'K', isPatched: false },
+    },
+    {
+      detector: 'detectContentComponentFunction',
+      args: ['oO'],
+      captures: {
+        childrenVar: 'A',
+        isNewFormat: false,
+        pushInfo: {
+          fullMatch: 'W.push(R.default.createElement(M8,{key:W.length},O.trim()))',
+          arrayVar: 'W', reactVar: 'R', textElement: 'M8', stringVar: 'O',
+        },
+      },
+    },
+  ],
+  'v2.1.32': [
+    {
+      detector: 'extractThinkingComponentV219',
+      captures: {
+        fullMatch: 'let D=z,j;', expandedVar: 'D', transcriptVar: 'z', secondVar: 'j',
+        funcName: 'Cj6', isPatched: false, version: 'v2.1.32',
+      },
+    },
+    {
+      detector: 'detectThinkingPatternV219',
+      captures: { memoVar: 'V', guardVar: 'Z', componentName: 'Cj6', isPatched: false },
+    },
+    {
+      detector: 'detectExpandedHeaderV219',
+      captures: { reactVar: 'R', textElement: 'f', textVar: 'W', isPatched: false },
+    },
+    {
+      detector: 'detectThinkingContentV219',
+      captures: { reactVar: 'R', contentComponent: '$J', contentVar: 'K', patternType: 'B', isPatched: false },
+    },
+  ],
+  'v2.1.49': [
+    {
+      detector: 'extractThinkingComponentV249',
+      captures: {
+        fullMatch: 'let X=z||w', expandedVar: 'X', transcriptVar: 'z', verboseVar: 'w',
+        funcName: 'Nk', isPatched: false, version: 'v2.1.49+',
+      },
+    },
+    {
+      detector: 'detectThinkingPatternV249',
+      captures: { fullMatch: 'case"thinking":{if(!X&&!j&&!$)return null;', guardVars: ['X', 'j', '$'], isPatched: false },
+    },
+    {
+      detector: 'detectExpandedHeaderV219',
+      captures: { reactVar: 'R', textElement: 'T', textVar: 'D', isPatched: false },
+    },
+    {
+      detector: 'detectThinkingContentV249',
+      captures: { reactVar: 'R', boxElement: 'b', contentComponent: 'eJ', contentVar: 'K', isPatched: false },
+    },
+  ],
+  'v2.1.69': [
+    {
+      detector: 'extractThinkingComponentV249',
+      captures: {
+        fullMatch: 'if(!(z||w)){', transcriptVar: 'z', verboseVar: 'w',
+        funcName: 'Dk', isPatched: false, version: 'v2.1.69',
+      },
+    },
+    {
+      detector: 'detectThinkingPatternV249',
+      captures: { fullMatch: 'case"thinking":{if(!D&&!_)return null;', guardVars: ['D', '_'], isPatched: false },
+    },
+    {
+      detector: 'detectExpandedHeaderV269',
+      captures: { reactVar: 'R', textElement: 'T', isPatched: false },
+    },
+    {
+      detector: 'detectThinkingContentV249',
+      captures: { reactVar: 'R', boxElement: 'b', contentComponent: 'eJ', contentVar: 'K', isPatched: false },
+    },
+  ],
+};
+
+// Recipe that handles each step, null when no recipe detects it
+const RECIPE_STEPS = {
+  'legacy': { collapsedView: null, thinkingCase: null, headerColor: null, contentColor: null },
+  // Only the 2-variable case guard is shared with a newer layout
+  'v2.1.17': { collapsedView: null, thinkingCase: 'v2.1.69', headerColor: null, contentColor: null },
+  'v2.1.32': { collapsedView: 'v2.1.32', thinkingCase: 'v2.1.32', headerColor: 'v2.1.32', contentColor: 'v2.1.32' },
+  'v2.1.49': { collapsedView: 'v2.1.49', thinkingCase: 'v2.1.49', headerColor: 'v2.1.49', contentColor: 'v2.1.49' },
+  'v2.1.69': { collapsedView: 'v2.1.69', thinkingCase: 'v2.1.69', headerColor: 'v2.1.69', contentColor: 'v2.1.69' },
+};
+
+function runPatch(content) {
+  const version = thinker.getVersion(content);
+  const detections = thinker.detectPatches(content, version);
+  const { patched, results } = thinker.applyPatches(content, detections, COLORS);
+  return { version, detections, patched, results };
+}
+
+for (const layout of LAYOUTS) {
+  describe(`thinker.js on the ${layout} layout`, () => {
+    const content = readFixture(layout);
+
+    for (const { detector, args = [], captures } of CAPTURES[layout]) {
+      test(`${detector} captures ${Object.keys(captures).join(', ')}`, () => {
+        assert.deepEqual(pick(thinker[detector](content, ...args), Object.keys(captures)), captures);
+      });
+    }
+
+    test('picks a recipe per step', () => {
+      const { steps } = thinker.detectPatches(content, thinker.getVersion(content));
+      const recipes = Object.fromEntries(Object.entries(steps).map(([id, hit]) => [id, hit && hit.recipe.id]));
+      assert.deepEqual(recipes, RECIPE_STEPS[layout]);
+    });
+
+    test('patches to the expected output', () => {
+      const { version, detections, patched, results } = runPatch(content);
+      const detected = Object.keys(RECIPE_STEPS[layout]).filter(id => RECIPE_STEPS[layout][id]);
+      assert.deepEqual(results.map(r => [r.step.id, r.status]), detected.map(id => [id, 'applied']));
+      assertExpected(layout, 'regex', patched);
+
+      const verification = thinker.verifyOutput(content, patched, { detections, results, colors: COLORS, version });
+      assert.deepEqual(verification.failures, []);
+      assert.deepEqual(verification.checks, detected);
+    });
+
+    test('a second run finds every step patched and changes nothing', () => {
+      const first = runPatch(content);
+      const second = runPatch(first.patched);
+      for (const { step } of first.results) {
+        assert.equal(second.detections.steps[step.id].info.isPatched, true, `${step.id} not detected as patched`);
+      }
+      assert.deepEqual(second.results.map(r => r.status), first.results.map(() => 'already'));
+      assert.equal(second.patched, first.patched);
+
+      const again = thinker.patchSource(first.patched, { color: COLORS.headerColor, contentColor: COLORS.contentColor });
+      assert.equal(again.applied, 0);
+      assert.equal(again.patched, first.patched);
+    });
+  });
+}
+
+// --engine=auto: the AST engine only when it patches every step the regex engine would
+const AUTO_ENGINE = {
+  'legacy': { plain: 'ast', ocean: 'ast' },
+  'v2.1.17': { plain: 'ast', ocean: 'ast' },
+  'v2.1.32': { plain: 'ast', ocean: 'regex' },
+  'v2.1.49': { plain: 'ast', ocean: 'regex' },
+  'v2.1.69': { plain: 'regex', ocean: 'regex' },
+};
+
+describe('--engine=auto', () => {
+  for (const layout of LAYOUTS) {
+    test(`picks per run on the ${layout} layout`, () => {
+      const cliPath = path.join(__dirname, 'fixtures', `${layout}.js`);
+      assert.equal(thinker.chooseEngine({ cliPath }).engine, AUTO_ENGINE[layout].plain);
+      assert.equal(thinker.chooseEngine({ cliPath, theme: 'ocean' }).engine, AUTO_ENGINE[layout].ocean);
+    });
+  }
+
+  test('keeps a patched file on its engine until that engine falls short', () => {
+    const ast = require('../thinker-ast');
+    const selection = require('../lib/selection');
+    const markers = require('../lib/marker');
+    const content = readFixture('v2.1.49');
+    const tree = ast.parseWithAcorn(content);
+    const detections = ast.detectPatterns(tree, content);
+    const all = new Set(selection.PATCH_IDS);
+    const { code, edits, results } = ast.applyPatches(content, tree, detections, {}, all);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thinker-auto-'));
+    const cliPath = path.join(dir, 'cli.js');
+    fs.writeFileSync(cliPath, markers.stampMarker(code, ast.buildMarkerMeta(content, code, edits, {}, ast.editedSteps(results))));
+    try {
+      const kept = thinker.chooseEngine({ cliPath });
+      assert.deepEqual(pick(kept, ['engine', 'reason', 'repatch']), { engine: 'ast', reason: 'already patched by the ast engine', repatch: false });
+      const switched = thinker.chooseEngine({ cliPath, color: 'red' });
+      assert.equal(switched.engine, 'regex');
+      assert.equal(switched.repatch, true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('checkSyntax()', () => {
+  test('parses ES module builds in-process', () => {
+    const module = 'import { a } from "b";\nexport default a;\n';
+    assert.deepEqual(thinker.checkSyntax(module, { spawn: false }), { ok: true, mode: 'module' });
+    const broken = thinker.checkSyntax('import { a } from "b";\nexport default (;\n', { spawn: false });
+    assert.equal(broken.ok, false);
+    assert.equal(broken.mode, 'module');
+  });
+});
@@ -5,126 +5,75 @@
  * Uses AST parsing with stable string anchors instead of fragile regex.
  * More robust against minifier changes.
  *
- * Usage:
- *   node thinker-ast.js           # Apply patch
- *   node thinker-ast.js --dry-run # Preview changes
- *   node thinker-ast.js --restore # Restore from backup
- *   node thinker-ast.js --check   # Check if patchable
+ * Usage (same commands and options as thinker.js):
+ *   node thinker-ast.js patch --theme=ocean   # Apply patch (also the default)
+ *   node thinker-ast.js patch --dry-run       # Preview changes
+ *   node thinker-ast.js diff --emit-patch=thinker.patch  # Show the edited regions, export a patch
+ *   node thinker-ast.js restore [VERSION]     # Restore the backup for the installed version
+ *   node thinker-ast.js backups list|prune
+ *   node thinker-ast.js status                # Show what the embedded patch marker records
+ *   node thinker-ast.js unpatch               # Reverse the recorded edits (no backup needed)
+ *   node thinker-ast.js check                 # Check if patchable
+ *   node thinker-ast.js <command> --help      # Options of a command
  */
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const { execSync } = require('child_process');
-const acorn = require('acorn');
-const walk = require('acorn-walk');
-const MagicString = require('magic-string');
+const backups = require('./lib/backups');
+const markers = require('./lib/marker');
+const manifest = require('./lib/manifest');
+const selection = require('./lib/selection');
+const diff = require('./lib/diff');
+const smoke = require('./lib/smoke');
+const { atomicWrite, writeOrExit } = require('./lib/atomic');
+const lock = require('./lib/lock');
+const sessions = require('./lib/processes');
+const installs = require('./lib/installs');
+const io = require('./lib/io');
+const report = require('./lib/report');
+const doctor = require('./lib/doctor');
+const status = require('./lib/status');
+const config = require('./lib/config');
+const { getVersion, getInstalledVersion } = require('./lib/version');
+const { EXIT } = require('./lib/exit');
+const cli = require('./lib/cli');
+const { THEME_PRESETS, COLOR_PRESETS, validateColor, formatThemes } = require('./lib/themes');
 
 // ============================================
 // PHASE 1: FOUNDATION - CLI & CONFIGURATION
 // ============================================
 
-const args = process.argv.slice(2);
-const DRY_RUN = args.includes('--dry-run');
-const RESTORE = args.includes('--restore');
-const CHECK_ONLY = args.includes('--check');
-const HELP = args.includes('--help') || args.includes('-h');
-const DEBUG = args.includes('--debug');
-
-// Parse --color=<value> argument (for header)
-const colorArg = args.find(a => a.startsWith('--color='));
-const CUSTOM_COLOR = colorArg ? colorArg.split('=')[1] : null;
-
-// Parse --content-color=<value> argument (for thinking body)
-const contentColorArg = args.find(a => a.startsWith('--content-color='));
-const CONTENT_COLOR = contentColorArg ? contentColorArg.split('=')[1] : null;
-
-// Parse --theme=<value> argument (for preset theme combos)
-const themeArg = args.find(a => a.startsWith('--theme='));
-const THEME = themeArg ? themeArg.split('=')[1] : null;
-
-// Theme presets (header + content)
-const THEME_PRESETS = {
-  'watermelon': { header: '#32cd32', content: '#FF77FF' },
-  'emerald-saffron': { header: '#00C853', content: '#F4C24D' },
-  'bubblegum': { header: '#87ceeb', content: '#FF77FF' },
-  'carrot': { header: '#ff8c00', content: '#32cd32' },
-  'autumn': { header: '#FFBF00', content: '#D2691E' },
-  'ocean': { header: '#98D8C8', content: '#20B2AA' },
-  'forest': { header: '#90EE90', content: '#228B22' },
-  'cherry-blossom': { header: '#FF69B4', content: '#FFB6C1' },
-  'cyberpunk': { header: '#FCE300', content: '#00F0FF' },
-};
-
-// Color presets
-const COLOR_PRESETS = {
-  'dim': null,
-  'cyan': '#00ffff',
-  'green': '#32cd32',
-  'magenta': '#ff00ff',
-  'yellow': '#ffff00',
-  'blue': '#4169e1',
-  'red': '#ff4444',
-  'white': '#ffffff',
-  'pink': '#ff69b4',
-  'orange': '#ff8c00',
-  'purple': '#9370db',
-  'teal': '#20b2aa',
-  'gold': '#ffd700',
-  'lime': '#00ff00',
-  'coral': '#ff7f50',
-  'sky': '#87ceeb',
-};
-
-/**
- * Validate and normalize a color value
- * Security: Prevents code injection through color values
- * @param {string} color - Color name or hex value
- * @returns {string} - Validated color value
- * @throws {Error} - If color is invalid
- */
-function validateColor(color) {
-  if (color === null || color === undefined) return null;
+// Program name in help and usage errors
+const PROGRAM = 'node thinker-ast.js';
 
-  // Check preset colors (use hasOwnProperty to avoid prototype pollution)
-  if (Object.prototype.hasOwnProperty.call(COLOR_PRESETS, color)) {
-    return COLOR_PRESETS[color];
-  }
-
-  // Only allow valid hex: #RGB or #RRGGBB (not #RGBA or #RRGGBBAA)
-  if (/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(color)) {
-    return color;
-  }
-
-  throw new Error(`Invalid color "${color}". Use a preset name or hex value (#RGB or #RRGGBB).`);
-}
-
-// Exit codes
-const EXIT = {
-  SUCCESS: 0,
-  GENERAL_ERROR: 1,
-  AMBIGUOUS: 2,
-  VERIFICATION_FAILED: 3,
-  ALREADY_PATCHED: 4,
-};
+// Set from --debug in main()
+let DEBUG = false;
 
 function debug(...args) {
   if (DEBUG) console.log('[DEBUG]', ...args);
 }
 
-if (HELP) {
+// Top-level help, or one command's help
+function printHelp(command) {
+  if (command) {
+    console.log(cli.formatCommandHelp(command, { engine: 'ast', program: PROGRAM }));
+    return;
+  }
   console.log(`
 🧠 Thinker (AST) - Claude Code Thinking Visibility Patch
 
-Usage:
-  node thinker-ast.js                       Apply the patch (default dim gray)
-  node thinker-ast.js --theme=watermelon    Apply preset theme
-  node thinker-ast.js --color=green         Apply with custom header color
-  node thinker-ast.js --content-color=pink  Apply with custom content color
-  node thinker-ast.js --dry-run             Preview changes without applying
-  node thinker-ast.js --restore             Restore from backup
-  node thinker-ast.js --check               Check if current version is patchable
-  node thinker-ast.js --debug               Show debug output
+${cli.formatCommands({ engine: 'ast', program: PROGRAM })}
+
+Examples:
+  node thinker-ast.js patch --theme=watermelon    Apply preset theme
+  node thinker-ast.js patch --only=headerColor,contentColor --theme=ocean
+  node thinker-ast.js patch --cli-path=- < cli.js > patched.js   Filter stdin to stdout
+  node thinker-ast.js diff --emit-patch=FILE      Review the change, export it for \`patch -p0\`
+  node thinker-ast.js restore 2.1.49 --force      Restore a specific version's backup
+  node thinker-ast.js check --json                JSON report on stdout (messages go to stderr)
+
+The older flag spellings still work: --restore[=VERSION], --check, --diff,
+--emit-patch=FILE and --list-installs.
 
 Theme presets:
   watermelon, emerald-saffron, bubblegum, carrot, autumn,
@@ -135,12 +84,20 @@ Color options:
   Presets: pink, orange, purple, teal, gold, lime, coral, sky
   Hex:    #ff69b4, #4ecdc4, etc.
 
+Patch ids (for --only / --skip):
+  collapsedView, thinkingCase, headerColor, contentColor
+
+Exit codes (both engines):
+  0 success   1 error   2 ambiguous match   3 verification failed
+  4 already patched   5 install not found   6 unsupported version
+  7 write failed   8 partial patch (written, some patches not applied)
+  9 engines disagree (--engine=both)
+
 What it does:
   1. Removes the collapsed "∴ Thinking..." banner
   2. Forces thinking content to display inline automatically
   3. Optionally applies custom colors to header and content
   `);
-  process.exit(EXIT.SUCCESS);
 }
 
 // ============================================
@@ -148,113 +105,78 @@ What it does:
 // ============================================
 
 function findClaudeCode() {
-  const searchPaths = [];
-
-  // 1. Check symlink from 'which claude'
-  try {
-    const claudePath = execSync('which claude', { encoding: 'utf8' }).trim();
-    const realPath = fs.realpathSync(claudePath);
-    searchPaths.push(realPath);
-    searchPaths.push(path.dirname(realPath) + '/cli.js');
-  } catch (e) {}
-
-  // 2. Global npm
-  try {
-    const npmRoot = execSync('npm root -g', { encoding: 'utf8' }).trim();
-    searchPaths.push(path.join(npmRoot, '@anthropic-ai/claude-code/cli.js'));
-  } catch (e) {}
-
-  // 3. Local installations
-  const home = process.env.HOME || process.env.USERPROFILE;
-  searchPaths.push(
-    path.join(home, '.claude/local/node_modules/@anthropic-ai/claude-code/cli.js'),
-    path.join(home, '.config/claude/local/node_modules/@anthropic-ai/claude-code/cli.js')
-  );
-
-  for (const p of searchPaths) {
-    if (fs.existsSync(p) && p.endsWith('cli.js')) {
-      return p;
-    }
-  }
-
-  return null;
-}
-
-function getVersion(content) {
-  const match = content.match(/\/\/ Version: ([\d.]+)/);
-  return match ? match[1] : 'unknown';
+  const [first] = installs.discoverInstalls();
+  return first ? first.cliPath : null;
 }
 
 // ============================================
-// PHASE 1: SAFETY UTILITIES
+// PHASE 2: AST DETECTION ENGINE
 // ============================================
 
-function atomicWrite(targetPath, content, backupPath) {
-  // Step 1: Create backup if doesn't exist
-  if (!fs.existsSync(backupPath)) {
-    fs.copyFileSync(targetPath, backupPath);
-    console.log(`💾 Backup created: ${backupPath}`);
-  } else {
-    console.log(`💾 Backup exists: ${backupPath}`);
-  }
-
-  // Step 2: Preserve original file permissions
-  const originalStats = fs.statSync(targetPath);
-  const originalMode = originalStats.mode;
-
-  // Step 3: Write to temp file in same directory
-  const tempPath = targetPath + '.tmp.' + crypto.randomBytes(4).toString('hex');
-  const fd = fs.openSync(tempPath, 'w');
-  fs.writeSync(fd, content);
-  fs.fsyncSync(fd);
-  fs.closeSync(fd);
-
-  // Step 4: Restore original permissions on temp file
-  fs.chmodSync(tempPath, originalMode);
+// Loaded on first use, so this module can be required (and thinker.js can fall
+// back to the regex engine) without npm install
+let acorn = null;
+let walk = null;
+let MagicString = null;
 
-  // Step 5: Atomic rename
-  fs.renameSync(tempPath, targetPath);
-  return true;
-}
-
-function restoreFromBackup(cliPath, backupPath) {
-  if (!fs.existsSync(backupPath)) {
-    console.error('❌ No backup found at:', backupPath);
-    return false;
+/**
+ * Load acorn, acorn-walk and magic-string
+ * @returns {string|null} Why they could not be loaded, null when they are available
+ */
+function loadDependencies() {
+  if (acorn) return null;
+  try {
+    acorn = require('acorn');
+    walk = require('acorn-walk');
+    MagicString = require('magic-string');
+    return null;
+  } catch (e) {
+    acorn = null;
+    return `The AST engine needs ${doctor.AST_DEPENDENCIES.join(', ')}; run "npm install" in ${__dirname}`;
   }
-  fs.copyFileSync(backupPath, cliPath);
-  console.log('✅ Restored from backup');
-  return true;
 }
 
-// ============================================
-// PHASE 2: AST DETECTION ENGINE
-// ============================================
-
-function parseWithAcorn(code) {
+/**
+ * Parse cli.js as a script, or as an ES module when that fails
+ * @returns {object} {tree, error} - tree is null and error says why when it can't be parsed
+ */
+function parseSource(code) {
+  const missing = loadDependencies();
+  if (missing) return { tree: null, error: missing };
   try {
-    return acorn.parse(code, {
-      ecmaVersion: 2022,
-      sourceType: 'script',
-      allowHashBang: true,
-      allowReserved: true,
-    });
-  } catch (e) {
-    debug('Standard parse failed, trying with module type:', e.message);
-    try {
-      return acorn.parse(code, {
+    return {
+      tree: acorn.parse(code, {
         ecmaVersion: 2022,
-        sourceType: 'module',
+        sourceType: 'script',
         allowHashBang: true,
         allowReserved: true,
-      });
+      }),
+      error: null,
+    };
+  } catch (e) {
+    debug('Standard parse failed, trying with module type:', e.message);
+    try {
+      return {
+        tree: acorn.parse(code, {
+          ecmaVersion: 2022,
+          sourceType: 'module',
+          allowHashBang: true,
+          allowReserved: true,
+        }),
+        error: null,
+      };
     } catch (e2) {
-      console.error('❌ Failed to parse cli.js:', e2.message);
-      return null;
+      return { tree: null, error: `Failed to parse cli.js: ${e2.message}` };
     }
   }
 }
 
+function parseWithAcorn(code) {
+  const { tree, error } = parseSource(code);
+  if (error) console.error(`❌ ${error}`);
+  return tree;
+}
+
 // ============================================
 // PHASE 2A: AST HELPER FUNCTIONS
 // ============================================
@@ -1252,45 +1174,76 @@ function findM8Component(ast, code) {
 // PHASE 3: PATCHING ENGINE
 // ============================================
 
-function resolveColors() {
+function resolveColors({ theme, color, contentColor: content }) {
   let headerColor, contentColor;
 
-  if (THEME && THEME_PRESETS[THEME]) {
+  if (theme && THEME_PRESETS[theme]) {
     // Theme presets are pre-validated, but validate anyway for safety
-    headerColor = validateColor(THEME_PRESETS[THEME].header);
-    contentColor = validateColor(THEME_PRESETS[THEME].content);
+    headerColor = validateColor(THEME_PRESETS[theme].header);
+    contentColor = validateColor(THEME_PRESETS[theme].content);
   } else {
     // Validate user-provided colors (throws on invalid input)
-    headerColor = CUSTOM_COLOR ? validateColor(CUSTOM_COLOR) : null;
-    contentColor = CONTENT_COLOR
-      ? validateColor(CONTENT_COLOR)
+    headerColor = color ? validateColor(color) : null;
+    contentColor = content
+      ? validateColor(content)
       : headerColor;
   }
 
   return { headerColor, contentColor };
 }
 
-function applyPatches(code, ast, detections, colors) {
+/**
+ * Apply the selected patches for the detected sites
+ * @returns {object} {code, patches: messages, results: [{id, status}], edits, error} -
+ *   status is 'applied', 'already' or 'failed' (detected but nothing edited), per
+ *   selected step with something to do; on an ambiguous site error is
+ *   {code: 'AMBIGUOUS', message} and code is returned unchanged
+ */
+function applyPatches(code, ast, detections, colors, selected = new Set(selection.PATCH_IDS)) {
   const ms = new MagicString(code);
   const patches = [];
+  const results = [];
+
+  // Every edit is also recorded for the patch manifest, so `unpatch` can reverse it
+  const edits = [];
+  const edit = {
+    overwrite(start, end, text) {
+      ms.overwrite(start, end, text);
+      edits.push({ offset: start, original: code.slice(start, end), replacement: text });
+    },
+    remove(start, end) {
+      ms.remove(start, end);
+      edits.push({ offset: start, original: code.slice(start, end), replacement: '' });
+    },
+    appendLeft(index, text) {
+      ms.appendLeft(index, text);
+      edits.push({ offset: index, original: '', replacement: text });
+    },
+  };
 
   // Patch 1: Disable collapsed view guard
-  if (detections.collapsedView.success && !detections.collapsedView.isPatched) {
+  if (!selected.has('collapsedView')) {
+    patches.push('Collapsed view guard (skipped)');
+  } else if (detections.collapsedView.success && !detections.collapsedView.isPatched) {
     const cv = detections.collapsedView;
     // Replace !(VAR||VAR) with !1
-    ms.overwrite(cv.conditionStart, cv.conditionEnd, '!1');
+    edit.overwrite(cv.conditionStart, cv.conditionEnd, '!1');
     patches.push('Collapsed view guard disabled');
+    results.push({ id: 'collapsedView', status: 'applied' });
   } else if (detections.collapsedView.isPatched) {
     patches.push('Collapsed view guard (already patched)');
+    results.push({ id: 'collapsedView', status: 'already' });
   }
 
   // Patch 2: Force transcript mode in switch case
-  if (detections.switchCase.success && !detections.switchCase.isPatched) {
+  if (!selected.has('thinkingCase')) {
+    patches.push('Switch case (skipped)');
+  } else if (detections.switchCase.success && !detections.switchCase.isPatched) {
     const sc = detections.switchCase;
 
     // Remove the guard: if(!VAR&&!VAR)return null;
     if (sc.guardStart && sc.guardEnd) {
-      ms.remove(sc.guardStart, sc.guardEnd);
+      edit.remove(sc.guardStart, sc.guardEnd);
     }
 
     // Use AST to modify props - find isTranscriptMode and hideInTranscript properties
@@ -1300,21 +1253,25 @@ function applyPatches(code, ast, detections, colors) {
 
       if (transcriptProp) {
         // Replace the value with !0 (true)
-        ms.overwrite(transcriptProp.value.start, transcriptProp.value.end, '!0');
+        edit.overwrite(transcriptProp.value.start, transcriptProp.value.end, '!0');
       }
       if (hideProp) {
         // Replace the value with !1 (false)
-        ms.overwrite(hideProp.value.start, hideProp.value.end, '!1');
+        edit.overwrite(hideProp.value.start, hideProp.value.end, '!1');
       }
     }
 
     patches.push('Switch case: transcript mode forced');
+    results.push({ id: 'thinkingCase', status: 'applied' });
   } else if (detections.switchCase.isPatched) {
     patches.push('Switch case (already patched)');
+    results.push({ id: 'thinkingCase', status: 'already' });
   }
 
   // Patch 3: Header color (optional)
-  if (colors.headerColor && detections.expandedHeader.success && !detections.expandedHeader.isPatched) {
+  if (colors.headerColor && !selected.has('headerColor')) {
+    patches.push('Header color (skipped)');
+  } else if (colors.headerColor && detections.expandedHeader.success && !detections.expandedHeader.isPatched) {
     const eh = detections.expandedHeader;
 
     if (eh.isIndirect) {
@@ -1334,7 +1291,7 @@ function applyPatches(code, ast, detections, colors) {
               const dimColorProp = findObjectProperty(propsNode, 'dimColor');
               if (dimColorProp) {
                 const newProps = `{italic:!0,color:"${colors.headerColor}"}`;
-                ms.overwrite(propsNode.start, propsNode.end, newProps);
+                edit.overwrite(propsNode.start, propsNode.end, newProps);
                 patches.push(`Header color: ${colors.headerColor} (v2.1.20+)`);
                 headerPatched = true;
                 break;
@@ -1344,33 +1301,38 @@ function applyPatches(code, ast, detections, colors) {
           }
         }
       }
+      results.push({ id: 'headerColor', status: headerPatched ? 'applied' : 'failed' });
     } else {
       // Direct match: literal is inside createElement
       const newProps = `{italic:!0,color:"${colors.headerColor}"}`;
-      ms.overwrite(eh.propsStart, eh.propsEnd, newProps);
+      edit.overwrite(eh.propsStart, eh.propsEnd, newProps);
       patches.push(`Header color: ${colors.headerColor}`);
+      results.push({ id: 'headerColor', status: 'applied' });
     }
   } else if (colors.headerColor && detections.expandedHeader.isPatched) {
     patches.push('Header color (already patched)');
+    results.push({ id: 'headerColor', status: 'already' });
   }
 
   // Patch 4: Content color via Fix A Improved - thread color to Text components
   // Box doesn't propagate 'color' to children - must reach actual <Text> elements
   // Thread: ContentWrapper → ContentComponent → M8 → DF (Text elements)
-  if (colors.contentColor && detections.m8Component.success && !detections.m8Component.isPatched) {
+  if (colors.contentColor && !selected.has('contentColor')) {
+    patches.push('Content color (skipped)');
+  } else if (colors.contentColor && detections.m8Component.success && !detections.m8Component.isPatched) {
     const m8 = detections.m8Component;
     const cw = detections.contentWrapper;
 
     // Step 4a: Patch M8's signature to accept color prop
     // Change: {children:Q} -> {children:Q,color:$MC}
     const newM8Params = `{children:${m8.childrenVar},color:$MC}`;
-    ms.overwrite(m8.paramsStart, m8.paramsEnd, newM8Params);
+    edit.overwrite(m8.paramsStart, m8.paramsEnd, newM8Params);
     patches.push('M8 component: signature updated');
 
     // Step 4b: Forward color to all DF createElement calls in M8
     // Change: createElement(DF, null, ...) -> createElement(DF, {color:$MC}, ...)
     for (const call of m8.dfCreateCalls) {
-      ms.overwrite(call.propsStart, call.propsEnd, '{color:$MC}');
+      edit.overwrite(call.propsStart, call.propsEnd, '{color:$MC}');
     }
     patches.push(`M8 component: ${m8.dfCreateCalls.length} createElement calls patched`);
 
@@ -1378,21 +1340,21 @@ function applyPatches(code, ast, detections, colors) {
     if (cw?.success && cw.contentComponent) {
       // Pass color prop to content component invocation
       if (cw.contentPropsNode?.type === 'Literal' && cw.contentPropsNode.value === null) {
-        ms.overwrite(cw.contentPropsNode.start, cw.contentPropsNode.end, `{color:"${colors.contentColor}"}`);
+        edit.overwrite(cw.contentPropsNode.start, cw.contentPropsNode.end, `{color:"${colors.contentColor}"}`);
       }
 
       // Modify content component signature to accept and forward color
       const funcInfo = findContentComponentFunction(ast, code, cw.contentComponent);
       if (funcInfo?.paramsNode && funcInfo.childrenVar) {
         const newParams = `{children:${funcInfo.childrenVar},color:$TC}`;
-        ms.overwrite(funcInfo.paramsStart, funcInfo.paramsEnd, newParams);
+        edit.overwrite(funcInfo.paramsStart, funcInfo.paramsEnd, newParams);
         patches.push('Content component: signature updated');
 
         // Step 4d: Update push pattern to pass color to M8
         const pushResult = findPushPattern(ast, code, cw.contentComponent);
         if (pushResult?.error === 'AMBIGUOUS') {
-          console.error(`\n❌ Ambiguous: found ${pushResult.count} push patterns in ${pushResult.componentName}.`);
-          process.exit(EXIT.AMBIGUOUS);
+          const message = `Ambiguous: found ${pushResult.count} push patterns in ${pushResult.componentName}`;
+          return { code, patches, results: [], edits: [], error: { code: 'AMBIGUOUS', message } };
         }
         if (pushResult?.patterns?.length > 0) {
           for (const push of pushResult.patterns) {
@@ -1405,7 +1367,7 @@ function applyPatches(code, ast, detections, colors) {
             if (keyProp) {
               // Insert color prop after existing props
               const insertPos = push.propsNode.end - 1;
-              ms.appendLeft(insertPos, ',color:$TC');
+              edit.appendLeft(insertPos, ',color:$TC');
             }
           }
           patches.push(`Push patterns: color prop added (${pushResult.patterns.length})`);
@@ -1414,15 +1376,19 @@ function applyPatches(code, ast, detections, colors) {
     }
 
     patches.push(`Content color: ${colors.contentColor}`);
+    results.push({ id: 'contentColor', status: 'applied' });
   } else if (colors.contentColor && detections.m8Component.isPatched) {
     patches.push('Content color (already patched)');
+    results.push({ id: 'contentColor', status: 'already' });
   } else if (colors.contentColor && !detections.m8Component.success) {
     console.warn(`⚠️  Content color requested but M8 component not found: ${detections.m8Component.error}`);
   }
 
   return {
     code: ms.toString(),
-    patches
+    patches,
+    results,
+    edits: edits.sort((x, y) => x.offset - y.offset || x.original.length - y.original.length)
   };
 }
 
@@ -1430,6 +1396,12 @@ function applyPatches(code, ast, detections, colors) {
 // PHASE 4: VERIFICATION & MAIN
 // ============================================
 
+/**
+ * Re-parse patched code and re-run the detectors on it
+ * @param {object} [expectedPatches] - {collapsedView, switchCase, headerColor, contentColor}:
+ *   patches that must read as applied (see expectedPatches()); without it only parsing counts
+ * @returns {object} {valid, checks, error}
+ */
 function verifyPatchedCode(patchedCode, colors, expectedPatches) {
   // Re-parse to ensure valid JS
   let ast;
@@ -1465,7 +1437,9 @@ function verifyPatchedCode(patchedCode, colors, expectedPatches) {
   // Check 3: Header color (if requested)
   if (colors.headerColor) {
     const headerResult = findExpandedHeader(ast, patchedCode);
-    if (headerResult.success && headerResult.isPatched) {
+    // The header detector doesn't match every patched layout; the props this engine writes are a fallback
+    if ((headerResult.success && headerResult.isPatched) ||
+        (expectedPatches?.headerColor && patchedCode.includes(`color:"${colors.headerColor}"`))) {
       checks.push('header_color');
     } else if (expectedPatches?.headerColor) {
       failures.push('header_color: expected isPatched=true');
@@ -1476,7 +1450,7 @@ function verifyPatchedCode(patchedCode, colors, expectedPatches) {
   // Fix A Improved: Color is threaded through M8 component
   if (colors.contentColor) {
     const m8Result = findM8Component(ast, patchedCode);
-    if (m8Result.success && m8Result.isPatched) {
+    if ((m8Result.success && m8Result.isPatched) || (expectedPatches?.contentColor && patchedCode.includes('color:$MC'))) {
       checks.push('m8_color');
     } else if (expectedPatches?.contentColor) {
       failures.push('m8_color: expected M8 signature to have color param');
@@ -1503,40 +1477,276 @@ function verifyPatchedCode(patchedCode, colors, expectedPatches) {
   return { valid: true, checks };
 }
 
-function main() {
+function detectPatterns(ast, code) {
+  return {
+    expandedHeader: findExpandedHeader(ast, code),
+    collapsedView: findCollapsedView(ast, code),
+    switchCase: findSwitchCase(ast, code),
+    contentWrapper: findContentWrapper(ast, code),
+    m8Component: findM8Component(ast, code)
+  };
+}
+
+// Marker step ids shared with thinker.js, keyed by the detection that drives each step
+const MARKER_STEPS = {
+  collapsedView: 'collapsedView',
+  switchCase: 'thinkingCase',
+  expandedHeader: 'headerColor',
+  m8Component: 'contentColor',
+};
+
+// Detectors behind each step; contentWrapper only supports contentColor
+const STEP_DETECTORS = {
+  collapsedView: ['collapsedView'],
+  thinkingCase: ['switchCase'],
+  headerColor: ['expandedHeader'],
+  contentColor: ['m8Component', 'contentWrapper'],
+};
+
+/**
+ * --json "detectors", keyed by step id like the regex engine's; the first detector
+ * of a step decides it, and detail.detectors holds each detector's own result
+ */
+function reportDetectors(detections, selected) {
+  const summary = (result) => ({
+    found: !!result.success,
+    patched: !!result.isPatched,
+    candidates: result.count !== undefined ? result.count : result.success ? 1 : 0,
+    error: result.error || null,
+  });
+  return Object.fromEntries(selection.PATCH_IDS.map(id => {
+    const names = STEP_DETECTORS[id];
+    const primary = summary(detections[names[0]]);
+    return [id, {
+      selected: selected.has(id),
+      found: primary.found,
+      patched: primary.patched,
+      recipe: primary.found ? 'ast' : null,
+      candidates: primary.candidates,
+      error: primary.error,
+      detail: { detectors: Object.fromEntries(names.map(name => [name, summary(detections[name])])) },
+    }];
+  }));
+}
+
+// Marker steps this run would apply: selected, detected, not yet patched and (for colors) requested
+function appliedSteps(detections, colors, selected) {
+  return Object.entries(MARKER_STEPS)
+    .filter(([name, stepId]) => {
+      const detection = detections[name];
+      if (!selected.has(stepId) || !detection.success || detection.isPatched) return false;
+      if (stepId === 'headerColor' && !colors.headerColor) return false;
+      if (stepId === 'contentColor' && !colors.contentColor) return false;
+      return true;
+    })
+    .map(([, stepId]) => stepId);
+}
+
+// Marker steps applyPatches() actually edited, from its per-step results
+function editedSteps(results) {
+  return results.filter(result => result.status === 'applied').map(result => result.id);
+}
+
+// verifyPatchedCode() expectations for the steps a run edited (see editedSteps())
+function expectedPatches(steps) {
+  return {
+    collapsedView: steps.includes('collapsedView'),
+    switchCase: steps.includes('thinkingCase'),
+    headerColor: steps.includes('headerColor'),
+    contentColor: steps.includes('contentColor'),
+  };
+}
+
+/**
+ * Build patch marker metadata from what this run patched
+ * Steps recorded by an earlier run are kept.
+ * @param {Array} edited - Step ids this run edited (see editedSteps())
+ */
+function buildMarkerMeta(content, patchedCode, edits, colors, edited) {
+  const previous = markers.readMarker(content);
+  const steps = { ...(previous ? previous.meta.steps : {}) };
+
+  for (const stepId of edited) {
+    steps[stepId] = { recipe: 'ast' };
+    if (stepId === 'headerColor') steps[stepId].color = colors.headerColor;
+    if (stepId === 'contentColor') steps[stepId].color = colors.contentColor;
+  }
+
+  return {
+    engine: 'ast',
+    recipe: 'ast',
+    colors: {
+      header: steps.headerColor ? steps.headerColor.color : null,
+      content: steps.contentColor ? steps.contentColor.color : null,
+    },
+    steps,
+    ...manifest.buildManifest(content, patchedCode, edits),
+  };
+}
+
+/**
+ * Read a cli.js patch state from its marker and the AST detectors
+ * @returns {object} {version, state, meta, patched: detector names}; state is
+ *   'unparsable' when it doesn't parse
+ */
+function inspectInstall(cliPath, content) {
+  const { version } = getInstalledVersion(cliPath, content);
+  const ast = parseWithAcorn(content);
+  if (!ast) return { version, state: 'unparsable', meta: null, patched: [] };
+
+  const detections = detectPatterns(ast, content);
+  const patched = Object.keys(MARKER_STEPS).filter(name => detections[name].isPatched);
+  return { version, patched, ...markers.inspectMarker(content, patched.length > 0) };
+}
+
+/**
+ * @param {Array} argv - Command-line arguments
+ * @param {object} [context] - From thinker.js --engine=auto: {choice: its chooseEngine()
+ *   result, whose probe already parsed and patched this content, auto: record "auto" for reapply}
+ */
+function main(argv = process.argv.slice(2), context = {}) {
+  let settings;
+  try {
+    settings = config.readConfig();
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  const parsed = cli.parse(argv, { engine: 'ast', defaults: config.flagDefaults(settings) });
+  if (!parsed.ok) {
+    console.error(`❌ ${parsed.error}`);
+    console.error(`   Run "${PROGRAM}${parsed.command ? ` ${parsed.command}` : ''} --help" for usage.`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  const { command, options, positionals } = parsed;
+  if (command === 'help' || options.help) {
+    printHelp(command === 'help' ? positionals[0] : parsed.explicit ? command : null);
+    process.exit(EXIT.SUCCESS);
+  }
+  DEBUG = options.debug;
+  options.autoEngine = !!context.auto;
+  options.dryRun = options.dryRun || command === 'diff';
+  const backupsAction = command === 'backups' ? (positionals[0] || 'list') : null;
+
+  // With the file on stdout, everything else goes to stderr
+  const fromStdin = options.cliPath === io.STDIO;
+  const outPath = options.out || (fromStdin && command !== 'doctor' ? io.STDIO : null);
+  if (options.json) {
+    report.enableJson({ engine: 'ast', command: backupsAction ? `backups ${backupsAction}` : command, exitCodes: EXIT });
+    report.set({ dryRun: options.dryRun });
+    if (outPath === io.STDIO) {
+      console.error('❌ --json needs stdout for the report; write the file with --out=FILE');
+      process.exit(EXIT.GENERAL_ERROR);
+    }
+  } else if (outPath === io.STDIO) {
+    io.routeLogsToStderr();
+  }
+
+  const { ok: selectionOk, selected, restricted, error: selectionError } = selection.parseSelection({ only: options.only, skip: options.skip });
+  if (!selectionOk) {
+    console.error(`❌ ${selectionError}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+
+  if (command === 'themes') {
+    console.log(formatThemes());
+    process.exit(EXIT.SUCCESS);
+  }
+
   console.log('🧠 Thinker (AST) - Claude Code Thinking Visibility Patch\n');
-  console.log('🔍 Finding Claude Code installation...');
+  const { choice } = context;
+  if (choice) console.log(`🧭 Engine: ${choice.engine}${choice.reason ? ` (${choice.reason})` : ''}\n`);
+
+  if (command === 'installs') {
+    process.exit(installs.runListInstalls(inspectInstall));
+  }
+
+  if (command === 'doctor') {
+    process.exit(doctor.runDoctor(options, inspectInstall));
+  }
+
+  if (options.all) {
+    process.exit(installs.runAll(__filename, argv, command, options));
+  }
+
+  if (!options.cliPath) console.log('🔍 Finding Claude Code installation...');
+
+  const cliPath = fromStdin ? io.STDIO : options.cliPath ? path.resolve(options.cliPath) : findClaudeCode();
+  if (!fromStdin && (!cliPath || !fs.existsSync(cliPath))) {
+    console.error(options.cliPath ? `❌ ${options.cliPath} does not exist` : '❌ Could not find Claude Code installation');
+    if (!options.cliPath) console.error('   Searched common locations. Is Claude Code installed?');
+    process.exit(EXIT.NOT_FOUND);
+  }
 
-  const cliPath = findClaudeCode();
-  if (!cliPath) {
-    console.error('❌ Could not find Claude Code installation');
-    console.error('   Searched common locations. Is Claude Code installed?');
+  console.log(fromStdin ? '📁 Reading cli.js from stdin' : `📁 Found: ${cliPath}`);
+  report.set({ cliPath });
+
+  if (fromStdin && (command === 'backups' || command === 'restore')) {
+    console.error(`❌ ${command} needs a cli.js file, not stdin`);
     process.exit(EXIT.GENERAL_ERROR);
   }
 
-  console.log(`📁 Found: ${cliPath}`);
-  const backupPath = cliPath + '.backup';
+  // Only in-place writes touch the install; --out and stdout leave it alone
+  const writes = ['patch', 'restore', 'unpatch'].includes(command) || backupsAction === 'prune';
+  if (!outPath && !options.dryRun && writes) {
+    lock.lockInstall(cliPath);
+  }
+
+  if (command === 'backups') {
+    process.exit(backups.runBackupsCommand(cliPath, backupsAction, options));
+  }
 
   // Handle restore
-  if (RESTORE) {
-    if (DRY_RUN) {
-      console.log('🔄 [DRY RUN] Would restore from backup');
-    } else {
-      if (restoreFromBackup(cliPath, backupPath)) {
-        console.log('🔄 Restart Claude Code for changes to take effect.');
-      }
+  if (command === 'restore') {
+    if (!options.dryRun) sessions.checkRunningSessions(cliPath, options);
+    const restored = writeOrExit(cliPath, () => backups.restoreFromBackup(cliPath, {
+      installedVersion: getInstalledVersion(cliPath, fs.readFileSync(cliPath, 'utf8')).version,
+      version: positionals[0] || null,
+      force: options.force,
+      dryRun: options.dryRun,
+    }));
+    if (!restored) {
+      process.exit(EXIT.GENERAL_ERROR);
+    }
+    if (!options.dryRun) {
+      sessions.printRestartHint(cliPath);
     }
     process.exit(EXIT.SUCCESS);
   }
 
   // Read file
-  const content = fs.readFileSync(cliPath, 'utf8');
-  const version = getVersion(content);
-  console.log(`📦 Version: ${version}\n`);
+  let content = io.readInput(cliPath);
+
+  if (command === 'status') {
+    process.exit(status.runStatus(cliPath, content, { inspect: inspectInstall }));
+  }
+
+  if (command === 'unpatch') {
+    process.exit(manifest.runUnpatch(cliPath, content, outPath, options));
+  }
+
+  if (options.repatch) content = manifest.originalForRepatch(content);
+
+  // Bad colors (from the flags or the config file) stop the run before cli.js is parsed
+  let colors;
+  try {
+    colors = resolveColors(options);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+
+  const { version, source } = getInstalledVersion(cliPath, content);
+  console.log(`📦 Version: ${version}${source === 'package.json' ? ' (from package.json)' : ''}\n`);
+  report.set({ version, versionSource: source });
+
+  // --engine=auto already parsed this content and ran the detectors (not with --debug, which logs them)
+  const probe = choice && choice.probe && choice.probe.ast;
+  const run = probe && probe.content === content && !DEBUG ? probe : null;
 
   // Parse AST
   console.log('🔬 Parsing with Acorn...');
-  const ast = parseWithAcorn(content);
+  const ast = run ? run.tree : parseWithAcorn(content);
   if (!ast) {
     process.exit(EXIT.GENERAL_ERROR);
   }
@@ -1545,17 +1755,13 @@ function main() {
   // Detect patterns
   console.log('🔍 Pattern Detection:');
 
-  const detections = {
-    expandedHeader: findExpandedHeader(ast, content),
-    collapsedView: findCollapsedView(ast, content),
-    switchCase: findSwitchCase(ast, content),
-    contentWrapper: findContentWrapper(ast, content),
-    m8Component: findM8Component(ast, content)
-  };
+  const detections = run ? run.detections : detectPatterns(ast, content);
 
   // Report detection results
   for (const [name, result] of Object.entries(detections)) {
-    if (result.success) {
+    if (MARKER_STEPS[name] && !selected.has(MARKER_STEPS[name])) {
+      console.log(`   ⏭️  ${name}: skipped (${MARKER_STEPS[name]})`);
+    } else if (result.success) {
       const status = result.isPatched ? '(already patched)' : '';
       console.log(`   ✅ ${name} ${status}`);
     } else {
@@ -1563,8 +1769,9 @@ function main() {
     }
   }
 
-  // Resolve colors
-  const colors = resolveColors();
+  report.set({ detectors: reportDetectors(detections, selected) });
+
+  report.set({ colors: { header: colors.headerColor || null, content: colors.contentColor || null } });
   if (colors.headerColor || colors.contentColor) {
     console.log(`\n🎨 Colors:`);
     if (colors.headerColor === colors.contentColor) {
@@ -1575,68 +1782,182 @@ function main() {
     }
   }
 
-  // Check if anything is patchable
+  if (restricted) {
+    console.log(`\n🎯 Selected: ${selection.describeSelection(selected)}`);
+  }
+
+  // Check if anything selected is patchable
+  const pending = (name) => selected.has(MARKER_STEPS[name]) && detections[name].success && !detections[name].isPatched;
   const hasPatchablePatterns =
-    (detections.expandedHeader.success && !detections.expandedHeader.isPatched) ||
-    (detections.collapsedView.success && !detections.collapsedView.isPatched) ||
-    (detections.switchCase.success && !detections.switchCase.isPatched) ||
-    (colors.contentColor && detections.m8Component.success && !detections.m8Component.isPatched);
+    (colors.headerColor && pending('expandedHeader')) ||
+    pending('collapsedView') ||
+    pending('switchCase') ||
+    (colors.contentColor && pending('m8Component'));
 
-  const allPatched =
-    detections.expandedHeader.isPatched &&
-    detections.collapsedView.isPatched &&
-    detections.switchCase.isPatched;
+  const selectedNames = ['expandedHeader', 'collapsedView', 'switchCase'].filter(name => selected.has(MARKER_STEPS[name]));
+  const allPatched = selectedNames.length > 0 && selectedNames.every(name => detections[name].isPatched);
 
-  if (CHECK_ONLY) {
+  if (command === 'check') {
+    report.set({ patchable: !!hasPatchablePatterns });
     if (hasPatchablePatterns) {
       console.log('\n✅ Version is patchable!');
       process.exit(EXIT.SUCCESS);
     } else if (allPatched) {
-      console.log('\n⚠️  Already fully patched. Use --restore to reset.');
+      console.log(`\n⚠️  Already fully patched. Run "${PROGRAM} restore" to reset.`);
+      report.exitReason('Already fully patched');
       process.exit(EXIT.ALREADY_PATCHED);
     } else {
       console.log('\n❌ Version may not be patchable.');
-      process.exit(EXIT.GENERAL_ERROR);
+      report.exitReason('Version may not be patchable');
+      process.exit(EXIT.UNSUPPORTED_VERSION);
     }
   }
 
   if (!hasPatchablePatterns) {
     if (allPatched) {
-      console.log('\n⚠️  File appears already patched. Use --restore to reset, then re-patch.');
+      console.log(`\n⚠️  File appears already patched. Run "${PROGRAM} restore" to reset, then re-patch.`);
+      report.exitReason('File appears already patched');
       process.exit(EXIT.ALREADY_PATCHED);
     } else {
       console.error('\n❌ No patchable patterns found.');
-      process.exit(EXIT.GENERAL_ERROR);
+      process.exit(EXIT.UNSUPPORTED_VERSION);
     }
   }
 
   // Apply patches
   console.log('\n📝 Applying patches...');
-  const { code: patchedCode, patches } = applyPatches(content, ast, detections, colors);
+  const { code: patchedCode, patches, results, edits, error } = applyPatches(content, ast, detections, colors, selected);
+  if (error) {
+    console.error(`\n❌ ${error.message}.`);
+    report.exitReason(error.message);
+    process.exit(EXIT.AMBIGUOUS);
+  }
+  // Steps the detectors can't read as patched (header color) are applied again to the same text
+  if (patchedCode === content) {
+    console.log(`\n⚠️  File appears already patched. Run "${PROGRAM} restore" to reset, then re-patch.`);
+    report.exitReason('File appears already patched');
+    process.exit(EXIT.ALREADY_PATCHED);
+  }
 
   for (const patch of patches) {
     console.log(`   ✅ ${patch}`);
   }
+  const edited = editedSteps(results);
+  report.set({
+    patches: results.map(({ id, status }) => ({
+      id,
+      status,
+      recipe: 'ast',
+      color: id === 'headerColor' ? colors.headerColor : id === 'contentColor' ? colors.contentColor : null,
+      previousColor: null,
+    })),
+  });
 
   // Verify
   console.log('\n🔍 Verifying patched code...');
-  const verification = verifyPatchedCode(patchedCode, colors);
+  const verification = run && run.code === patchedCode ? run.verification : verifyPatchedCode(patchedCode, colors, expectedPatches(edited));
+  report.set({
+    verification: {
+      ok: verification.valid,
+      syntax: verification.checks ? 'acorn' : null,
+      checks: verification.checks || [],
+      failures: verification.valid ? [] : [verification.error],
+    },
+  });
   if (!verification.valid) {
     console.error(`❌ Verification failed: ${verification.error}`);
     process.exit(EXIT.VERIFICATION_FAILED);
   }
   console.log(`   ✅ Valid JS, patches confirmed: ${verification.checks.join(', ')}`);
 
+  const output = markers.stampMarker(patchedCode, buildMarkerMeta(content, patchedCode, edits, colors, edited));
+
+  const file = fromStdin ? 'cli.js' : cliPath;
+  if (command === 'diff') {
+    const regions = diff.regionDiffs(content, edits);
+    console.log(`\n🔎 ${regions.length} edited region(s):\n`);
+    console.log(diff.formatRegionDiffs(path.basename(file), regions));
+
+    if (options.emitPatch) {
+      const target = diff.patchTarget(file);
+      fs.writeFileSync(options.emitPatch, diff.unifiedPatch(content, output, { file: target.file }));
+      console.log(`\n📄 Patch written: ${options.emitPatch}`);
+      console.log(`   Apply with: (cd ${target.dir} && patch -p0 < ${path.resolve(options.emitPatch)})`);
+    }
+  }
+
+  // Selected steps with something to do that no detector found, or that were found but not edited
+  const missing = Object.entries(MARKER_STEPS)
+    .filter(([name, stepId]) => selected.has(stepId) && !detections[name].success &&
+      (stepId !== 'headerColor' || colors.headerColor) && (stepId !== 'contentColor' || colors.contentColor))
+    .map(([, stepId]) => stepId)
+    .concat(results.filter(result => result.status === 'failed').map(result => result.id));
+  const finish = () => {
+    if (missing.length > 0) {
+      report.exitReason(`Not applied: ${missing.join(', ')}`);
+      console.log(`\n⚠️  Partial patch; not applied: ${missing.join(', ')}`);
+      process.exit(EXIT.PARTIAL_PATCH);
+    }
+    process.exit(EXIT.SUCCESS);
+  };
+
   // Write changes
-  if (DRY_RUN) {
+  if (command === 'diff') {
+    console.log(`\n🔍 Nothing written. Run "${PROGRAM} patch" with the same options to apply.`);
+    finish();
+  }
+  if (options.dryRun) {
     console.log('\n🔍 Dry run complete. Run without --dry-run to apply patches.');
-    process.exit(EXIT.SUCCESS);
+    finish();
+  }
+
+  if (outPath) {
+    writeOrExit(io.describeTarget(outPath), () => io.writeOutput(outPath, output));
+    console.log(`\n✅ Patched output written to ${io.describeTarget(outPath)}`);
+    report.set({ output: { path: outPath, backup: null } });
+    finish();
   }
 
-  atomicWrite(cliPath, patchedCode, backupPath);
+  sessions.checkRunningSessions(cliPath, options);
+  const backup = writeOrExit('backup', () => backups.createBackup(cliPath, content, version));
+  console.log(`💾 Backup ${backup.created ? 'created' : 'exists'}: ${backup.path}`);
+  writeOrExit(cliPath, () => atomicWrite(cliPath, output));
   console.log('\n✅ Patches applied successfully!');
-  console.log('🔄 Restart Claude Code for changes to take effect.');
-  process.exit(EXIT.SUCCESS);
+  report.set({ output: { path: cliPath, backup: backup.path } });
+  if (options.smoke && !smoke.runSmoke(cliPath, version, options)) {
+    process.exit(EXIT.VERIFICATION_FAILED);
+  }
+  config.rememberPatch(options, { engine: 'ast', version });
+  sessions.printRestartHint(cliPath);
+  finish();
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  THEME_PRESETS,
+  COLOR_PRESETS,
+  MARKER_STEPS,
+  getVersion,
+  resolveColors,
+  loadDependencies,
+  parseSource,
+  parseWithAcorn,
+  detectPatterns,
+  findExpandedHeader,
+  findCollapsedView,
+  findSwitchCase,
+  findContentWrapper,
+  findContentComponentFunction,
+  findPushPattern,
+  findM8Component,
+  applyPatches,
+  verifyPatchedCode,
+  expectedPatches,
+  appliedSteps,
+  editedSteps,
+  buildMarkerMeta,
+};
@@ -0,0 +1,21 @@
+/**
+ * ES module load hook for thinker-hook.js
+ *
+ * Registered by thinker-hook.js; patches cli.js when Claude Code ships as ESM.
+ */
+
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const { isClaudeCli, patchForHook } = require('./thinker-hook.js');
+
+export async function load(url, context, nextLoad) {
+  const result = await nextLoad(url, context);
+  if (result.format !== 'module' || !url.startsWith('file:') || result.source == null) return result;
+
+  const filename = fileURLToPath(url);
+  if (!isClaudeCli(filename)) return result;
+
+  return { ...result, source: patchForHook(result.source.toString(), filename) };
+}
@@ -0,0 +1,98 @@
+/**
+ * Claude Code Thinking Visibility Patch - runtime hook
+ *
+ * Preload module that patches Claude Code's cli.js in memory as it loads.
+ * The installed file is never modified, so `npm i -g` updates don't undo it.
+ *
+ * Usage:
+ *   NODE_OPTIONS="--require /path/to/thinker-hook.js" claude
+ *   eval "$(thinker hook --theme=watermelon)"
+ *
+ * Environment:
+ *   THINKER_THEME, THINKER_COLOR, THINKER_CONTENT_COLOR  Same as --theme/--color/--content-color
+ *   THINKER_ONLY, THINKER_SKIP                           Same as --only/--skip
+ *   THINKER_DEBUG=1                                      Report hook activity on stderr
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const CLAUDE_PACKAGE = '@anthropic-ai/claude-code';
+const packageCache = new Map();
+
+function debug(...args) {
+  if (process.env.THINKER_DEBUG) console.error('[thinker-hook]', ...args);
+}
+
+// Only patch cli.js files that belong to the Claude Code package
+function isClaudeCli(filename) {
+  if (path.basename(filename) !== 'cli.js') return false;
+
+  const dir = path.dirname(filename);
+  if (!packageCache.has(dir)) {
+    let name = null;
+    try {
+      name = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).name;
+    } catch (e) {}
+    packageCache.set(dir, name === CLAUDE_PACKAGE);
+  }
+  return packageCache.get(dir);
+}
+
+// NODE_OPTIONS reaches every node process; only the one running claude is worth hooking
+function isClaudeEntry(argv = process.argv) {
+  if (!argv[1]) return false;
+  try {
+    return isClaudeCli(fs.realpathSync(argv[1]));
+  } catch (e) {
+    return false;
+  }
+}
+
+function hookOptions() {
+  return {
+    theme: process.env.THINKER_THEME || null,
+    color: process.env.THINKER_COLOR || null,
+    contentColor: process.env.THINKER_CONTENT_COLOR || null,
+    only: process.env.THINKER_ONLY || null,
+    skip: process.env.THINKER_SKIP || null,
+  };
+}
+
+/**
+ * Patch cli.js source for in-memory loading
+ * Falls back to the untouched source on any failure so claude still starts.
+ * @param {string} source - cli.js source as read from disk
+ * @param {string} filename - Path of the file being loaded
+ * @returns {string} Source to compile
+ */
+function patchForHook(source, filename) {
+  try {
+    const { patchSource } = require('./thinker.js');
+    const { patched, applied } = patchSource(source, hookOptions());
+    debug(`${filename}: ${applied} patch(es) applied in memory`);
+    return patched;
+  } catch (e) {
+    debug(`${filename}: patching failed, loading original (${e.message})`);
+    return source;
+  }
+}
+
+// CommonJS: intercept the .js loader for cli.js
+const loadJs = Module._extensions['.js'];
+Module._extensions['.js'] = function (module, filename) {
+  if (!isClaudeCli(filename)) return loadJs(module, filename);
+  const source = fs.readFileSync(filename, 'utf8');
+  module._compile(patchForHook(source, filename), filename);
+};
+
+// ES modules: register a load hook where supported (Node 20.6+)
+// The hook thread requires this file too; only the main thread registers, and
+// only when the entry script is Claude Code's cli.js (directly or via the bin link).
+if (typeof Module.register === 'function' && require('worker_threads').isMainThread && isClaudeEntry()) {
+  const { pathToFileURL } = require('url');
+  Module.register(pathToFileURL(path.join(__dirname, 'thinker-hook-loader.mjs')));
+}
+
+module.exports = { isClaudeCli, isClaudeEntry, patchForHook };
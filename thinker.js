@@ -5,67 +5,53 @@
  * Patches Claude Code to show thinking blocks expanded by default.
  *
  * Usage:
- *   node thinker.js           # Apply patch
- *   node thinker.js --dry-run # Preview changes
- *   node thinker.js --restore # Restore from backup
- *   node thinker.js --check   # Check if patchable
+ *   thinker patch --theme=ocean   # Apply patch (also the default: `thinker`)
+ *   thinker patch --dry-run       # Preview changes
+ *   thinker diff                  # Show the edited regions
+ *   thinker patch --engine=regex  # Skip the AST engine (default auto: AST when it covers every patch)
+ *   thinker patch --engine=both   # Cross-check both engines, write only if they agree
+ *   thinker restore [VERSION]     # Restore the backup for the installed version
+ *   thinker backups list|prune
+ *   thinker status                # Show what the embedded patch marker records
+ *   thinker unpatch               # Reverse the recorded edits (no backup needed)
+ *   thinker check                 # Check if patchable
+ *   thinker extract-fixture       # Cut the thinking code out for a bug report
+ *   thinker themes | doctor | installs
+ *   thinker config set theme ocean  # Defaults in ~/.config/thinker/config.json
+ *   thinker reapply               # Repeat the last successful patch (e.g. after an update)
+ *   thinker hook                  # Print setup for in-memory patching (thinker-hook.js)
+ *   thinker shadow                # Patch a private copy and install a claude shim
+ *   thinker <command> --help      # Options of a command
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-
-// Configuration
-const args = process.argv.slice(2);
-const DRY_RUN = args.includes('--dry-run');
-const RESTORE = args.includes('--restore');
-const CHECK_ONLY = args.includes('--check');
-const HELP = args.includes('--help') || args.includes('-h');
-
-// Parse --color=<value> argument (for header, or both if no content-color)
-const colorArg = args.find(a => a.startsWith('--color='));
-const CUSTOM_COLOR = colorArg ? colorArg.split('=')[1] : null;
-
-// Parse --content-color=<value> argument (for thinking body)
-const contentColorArg = args.find(a => a.startsWith('--content-color='));
-const CONTENT_COLOR = contentColorArg ? contentColorArg.split('=')[1] : null;
-
-// Parse --theme=<value> argument (for preset theme combos)
-const themeArg = args.find(a => a.startsWith('--theme='));
-const THEME = themeArg ? themeArg.split('=')[1] : null;
-
-// Preset theme combos (header + content)
-const THEME_PRESETS = {
-  'watermelon': { header: '#32cd32', content: '#FF77FF' },
-  'emerald-saffron': { header: '#00C853', content: '#F4C24D' },
-  'bubblegum': { header: '#87ceeb', content: '#FF77FF' },
-  'carrot': { header: '#ff8c00', content: '#32cd32' },
-  'autumn': { header: '#FFBF00', content: '#D2691E' },
-  'ocean': { header: '#98D8C8', content: '#20B2AA' },
-  'forest': { header: '#90EE90', content: '#228B22' },
-  'cherry-blossom': { header: '#FF69B4', content: '#FFB6C1' },
-  'cyberpunk': { header: '#FCE300', content: '#00F0FF' },
-};
-
-// Preset color themes (using hex for reliability with Ink)
-const COLOR_PRESETS = {
-  'dim': null,           // Default dimmed gray
-  'cyan': '#00ffff',
-  'green': '#32cd32',
-  'magenta': '#ff00ff',
-  'yellow': '#ffff00',
-  'blue': '#4169e1',
-  'red': '#ff4444',
-  'white': '#ffffff',
-  'pink': '#ff69b4',
-  'orange': '#ff8c00',
-  'purple': '#9370db',
-  'teal': '#20b2aa',
-  'gold': '#ffd700',
-  'lime': '#00ff00',
-  'coral': '#ff7f50',
-  'sky': '#87ceeb',
-};
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+const shadow = require('./lib/shadow');
+const backups = require('./lib/backups');
+const markers = require('./lib/marker');
+const manifest = require('./lib/manifest');
+const selection = require('./lib/selection');
+const diff = require('./lib/diff');
+const smoke = require('./lib/smoke');
+const { atomicWrite, writeOrExit } = require('./lib/atomic');
+const lock = require('./lib/lock');
+const sessions = require('./lib/processes');
+const installs = require('./lib/installs');
+const io = require('./lib/io');
+const report = require('./lib/report');
+const doctor = require('./lib/doctor');
+const status = require('./lib/status');
+const config = require('./lib/config');
+const { getVersion, parseVersion, getInstalledVersion } = require('./lib/version');
+const { EXIT } = require('./lib/exit');
+const fixtures = require('./lib/fixture');
+const cli = require('./lib/cli');
+const { THEME_PRESETS, COLOR_PRESETS, validateColor, formatThemes } = require('./lib/themes');
+
+// Program name in help and usage errors (the package's `bin`)
+const PROGRAM = 'thinker';
 
 // ============================================
 // ANCHOR-BASED PATTERN UTILITIES
@@ -263,20 +249,34 @@ function detectContentComponentFunction(content, componentName) {
   };
 }
 
-if (HELP) {
+// Top-level help, or one command's help
+function printHelp(command) {
+  if (command) {
+    console.log(cli.formatCommandHelp(command, { engine: 'regex', program: PROGRAM }));
+    return;
+  }
   console.log(`
 🧠 Thinker - Claude Code Thinking Visibility Patch
 
-Usage:
-  node thinker.js                           Apply the patch (default dim gray)
-  node thinker.js --theme=watermelon        Apply preset theme 🍉
-  node thinker.js --theme=emerald-saffron   Apply preset theme 🌿
-  node thinker.js --color=green             Apply with custom header color
-  node thinker.js --content-color=pink      Apply with custom content color
-  node thinker.js --color=green --content-color=pink   Custom combo
-  node thinker.js --dry-run                 Preview changes without applying
-  node thinker.js --restore                 Restore from backup
-  node thinker.js --check                   Check if current version is patchable
+${cli.formatCommands({ engine: 'regex', program: PROGRAM })}
+
+Examples:
+  thinker patch --theme=watermelon          Apply with a preset theme 🍉
+  thinker patch --color=green --content-color=pink   Custom combo
+  thinker patch --only=headerColor,contentColor --theme=ocean   Apply only some patches
+  thinker patch --all --theme=ocean         Patch every install (each with its own backup)
+  thinker patch --cli-path=- < cli.js > patched.js   Filter stdin to stdout
+  thinker diff --emit-patch=FILE            Review the change, export it for \`patch -p0\`
+  thinker patch --engine=regex              Skip the AST engine (auto, the default, tries it first)
+  thinker patch --engine=both               Write only if both engines patch the same way
+  thinker restore 2.1.49 --force            Restore a specific version's backup
+  thinker check --json                      JSON report on stdout (messages go to stderr)
+  thinker config set theme watermelon       Default for every run (~/.config/thinker/config.json)
+  thinker reapply                           Repeat the last successful patch after an update
+  thinker extract-fixture --out=fixture.js  Cut the thinking code out for a bug report
+
+The older flag spellings still work: --restore[=VERSION], --check, --diff,
+--emit-patch=FILE, --hook, --shadow, --shadow-sync and --list-installs.
 
 Theme presets:
   watermelon       Green header + magenta content 🍉
@@ -295,52 +295,38 @@ Color options:
   Hex:    #ff69b4, #4ecdc4, etc.
   RGB:    rgb(255,107,107)
 
+Patch ids (for --only / --skip):
+  collapsedView    Remove the collapsed "∴ Thinking..." banner (ctrl+o)
+  thinkingCase     Force thinking content to render inline
+  headerColor      Color the "∴ Thinking…" header
+  contentColor     Color the thinking content
+
+Exit codes (both engines):
+  0 success   1 error   2 ambiguous match   3 verification failed
+  4 already patched   5 install not found   6 unsupported version
+  7 write failed   8 partial patch (written, some patches not applied)
+  9 engines disagree (--engine=both)
+
 What it does:
   1. Removes the collapsed "∴ Thinking..." banner
   2. Forces thinking content to display inline automatically
   3. Optionally applies custom colors to header and content separately
   `);
-  process.exit(0);
 }
 
-// Find Claude Code installation
+// Find Claude Code installation (the first one discovered)
 function findClaudeCode() {
-  const searchPaths = [];
-
-  // 1. Check symlink from 'which claude'
-  try {
-    const claudePath = execSync('which claude', { encoding: 'utf8' }).trim();
-    const realPath = fs.realpathSync(claudePath);
-    searchPaths.push(realPath);
-    searchPaths.push(path.dirname(realPath) + '/cli.js');
-  } catch (e) {}
-
-  // 2. Global npm
-  try {
-    const npmRoot = execSync('npm root -g', { encoding: 'utf8' }).trim();
-    searchPaths.push(path.join(npmRoot, '@anthropic-ai/claude-code/cli.js'));
-  } catch (e) {}
-
-  // 3. Local installations
-  const home = process.env.HOME || process.env.USERPROFILE;
-  searchPaths.push(
-    path.join(home, '.claude/local/node_modules/@anthropic-ai/claude-code/cli.js'),
-    path.join(home, '.config/claude/local/node_modules/@anthropic-ai/claude-code/cli.js')
-  );
-
-  for (const p of searchPaths) {
-    if (fs.existsSync(p) && p.endsWith('cli.js')) {
-      return p;
-    }
-  }
-
-  return null;
+  const [first] = installs.discoverInstalls();
+  return first ? first.cliPath : null;
 }
 
-// Extract version from cli.js
-function getVersion(content) {
-  const match = content.match(/\/\/ Version: ([\d.]+)/);
-  return match ? match[1] : 'unknown';
+function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
 }
 
 // Extract the thinking component that shows collapsed/expanded view
@@ -913,7 +899,7 @@ function detectThinkingPattern(content) {
 
 // v2.1.49: Apply content color threading through eJ → f3 → UO chain
 // Returns number of sub-patches applied
-function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
+function applyContentColorV249(patched, contentInfo, colorValue) {
   const { reactVar, contentComponent, contentVar } = contentInfo;
   let colorPatchCount = 0;
 
@@ -923,9 +909,7 @@ function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
   const callReplacement = `${reactVar}.default.createElement(${contentComponent},{dimColor:!0,color:'${colorValue}'},${contentVar})`;
 
   if (patched.includes(callPattern)) {
-    if (!dryRun) {
-      patched = patched.replace(callPattern, callReplacement);
-    }
+    patched = patched.replace(callPattern, () => callReplacement);
     colorPatchCount++;
   }
 
@@ -954,14 +938,11 @@ function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
   }
 
   if (sigMatch) {
-    if (!dryRun) {
-      patched = patched.replace(sigMatch[0], `${sigMatch[1]}${sigMatch[2]}${sigMatch[3]}${sigMatch[4]},color:$tc${sigMatch[5]}`);
-    }
+    patched = patched.replace(sigMatch[0], () => `${sigMatch[1]}${sigMatch[2]}${sigMatch[3]}${sigMatch[4]},color:$tc${sigMatch[5]}`);
     colorPatchCount++;
 
     // Step C: Find text renderer calls in content component and extract its name
     // Pattern inside eJ: createElement(TEXTCOMP,{key:VAR.length,dimColor:VAR},VAR.trim())
-    const contentFuncStart = patched.indexOf(sigMatch[0].replace(',color:$tc', dryRun ? '' : ',color:$tc'));
     const actualStart = patched.indexOf(`function ${contentComponent}(`);
     if (actualStart !== -1) {
       const contentRegion = patched.substring(actualStart, actualStart + 2000);
@@ -978,13 +959,9 @@ function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
           `(createElement\\(${textCompName.replace(/\$/g, '\\$')},\\{key:[A-Za-z$_]+\\.length,dimColor:${dimColorVar})(\\},)`,
           'g'
         );
-        if (!dryRun) {
-          const before = patched;
-          patched = patched.replace(textCallPattern, '$1,color:$tc$2');
-          if (patched !== before) colorPatchCount++;
-        } else {
-          if (textCallPattern.test(patched)) colorPatchCount++;
-        }
+        const before = patched;
+        patched = patched.replace(textCallPattern, '$1,color:$tc$2');
+        if (patched !== before) colorPatchCount++;
 
         // Step D: Modify text renderer (f3) signature to accept color
         // TEXTCOMP=REACT.default.memo(function(q){let K=CACHE(N),{children:Y,dimColor:z}=q
@@ -994,16 +971,13 @@ function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
         const f3SigMatch = patched.match(f3SigPattern);
 
         if (f3SigMatch) {
-          if (!dryRun) {
-            patched = patched.replace(f3SigMatch[0],
-              `${f3SigMatch[1]}${f3SigMatch[2]}${f3SigMatch[3]}${f3SigMatch[4]},color:$fc${f3SigMatch[5]}`
-            );
-          }
+          patched = patched.replace(f3SigMatch[0], () =>
+            `${f3SigMatch[1]}${f3SigMatch[2]}${f3SigMatch[3]}${f3SigMatch[4]},color:$fc${f3SigMatch[5]}`
+          );
           colorPatchCount++;
 
           // Step E: Forward color to Text elements inside f3 body
           // Find the memo function body by brace counting
-          const f3Marker = `${textCompName}=${f3SigMatch[0].split('=')[0].length > 0 ? '' : ''}`;
           const f3MemoStart = patched.indexOf(f3SigMatch[0].substring(0, 30));
           if (f3MemoStart !== -1) {
             // Find the memo( opening and count to find the end
@@ -1019,32 +993,30 @@ function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
               let f3Body = patched.substring(f3MemoStart, f3End);
               const beforeF3 = f3Body;
 
-              if (!dryRun) {
-                // Find the Text element name from createElement(TEXT,{dim:!0}, pattern
-                const textElemMatch = f3Body.match(/createElement\(([A-Za-z0-9$_]+),\{dim:!0\},/);
-                if (textElemMatch) {
-                  const textElem = textElemMatch[1];
-                  const textElemEscaped = textElem.replace(/\$/g, '\\$');
-
-                  // Add color to Text elements with {dim:!0}
-                  f3Body = f3Body.replace(
-                    new RegExp(`createElement\\(${textElemEscaped},\\{dim:!0\\},`, 'g'),
-                    `createElement(${textElem},{dim:!0,color:$fc},`
-                  );
-                  // Add color to Text elements with null props
-                  f3Body = f3Body.replace(
-                    new RegExp(`createElement\\(${textElemEscaped},null,`, 'g'),
-                    `createElement(${textElem},{color:$fc},`
-                  );
-                }
-
-                // Forward color in ANSI span callback: after if(z)M.dim=!0; add if($fc)M.color=$fc;
+              // Find the Text element name from createElement(TEXT,{dim:!0}, pattern
+              const textElemMatch = f3Body.match(/createElement\(([A-Za-z0-9$_]+),\{dim:!0\},/);
+              if (textElemMatch) {
+                const textElem = textElemMatch[1];
+                const textElemEscaped = textElem.replace(/\$/g, '\\$');
+
+                // Add color to Text elements with {dim:!0}
+                f3Body = f3Body.replace(
+                  new RegExp(`createElement\\(${textElemEscaped},\\{dim:!0\\},`, 'g'),
+                  () => `createElement(${textElem},{dim:!0,color:$fc},`
+                );
+                // Add color to Text elements with null props
                 f3Body = f3Body.replace(
-                  /if\(([a-z$_])\)([A-Z$_])\.dim=!0;/g,
-                  'if($1)$2.dim=!0;if($fc)$2.color=$fc;'
+                  new RegExp(`createElement\\(${textElemEscaped},null,`, 'g'),
+                  () => `createElement(${textElem},{color:$fc},`
                 );
               }
 
+              // Forward color in ANSI span callback: after if(z)M.dim=!0; add if($fc)M.color=$fc;
+              f3Body = f3Body.replace(
+                /if\(([a-z$_])\)([A-Z$_])\.dim=!0;/g,
+                'if($1)$2.dim=!0;if($fc)$2.color=$fc;'
+              );
+
               if (f3Body !== beforeF3) {
                 patched = patched.substring(0, f3MemoStart) + f3Body + patched.substring(f3End);
                 colorPatchCount++;
@@ -1059,376 +1031,1490 @@ function applyContentColorV249(patched, contentInfo, colorValue, dryRun) {
   return { patched, colorPatchCount };
 }
 
-// Main
-function main() {
-  console.log('🧠 Thinker - Claude Code Thinking Visibility Patch\n');
-  console.log('🔍 Finding Claude Code installation...');
+// v2.1.32: Apply content color threading through $J → R3 chain
+// Returns number of sub-patches applied
+function applyContentColorV219(patched, contentInfo, colorValue) {
+  const { reactVar, contentVar } = contentInfo;
+  let colorPatchCount = 0;
 
-  const cliPath = findClaudeCode();
-  if (!cliPath) {
-    console.error('❌ Could not find Claude Code installation');
-    console.error('   Searched common locations. Is Claude Code installed?');
-    process.exit(1);
+  if (contentInfo.patternType === 'B') {
+    const callPattern = `${reactVar}.default.createElement($J,{dimColor:!0},${contentVar})`;
+    const callReplacement = `${reactVar}.default.createElement($J,{dimColor:!0,color:'${colorValue}'},${contentVar})`;
+
+    if (patched.includes(callPattern)) {
+      patched = patched.replace(callPattern, () => callReplacement);
+      colorPatchCount++;
+    }
+
+    const djPattern = /(function \$J\([A-Z]\)\{let [a-z]=A1\(\d+\),\{children:)([A-Z])(,dimColor:)([A-Z])(\}=[A-Z])/;
+    const djMatch = patched.match(djPattern);
+    if (djMatch) {
+      patched = patched.replace(djMatch[0], () => `${djMatch[1]}${djMatch[2]}${djMatch[3]}${djMatch[4]},color:$cc${djMatch[5]}`);
+      colorPatchCount++;
+    }
+
+    const before = patched;
+    patched = patched.replace(
+      /R3,\{key:([A-Z_])\.length,dimColor:([A-Z])\},([A-Z])\.trim\(\)\)/g,
+      'R3,{key:$1.length,dimColor:$2,color:$cc},$3.trim())'
+    );
+    if (patched !== before) colorPatchCount++;
+
+    const r3Pattern = /(R3=[A-Za-z0-9]+\.default\.memo\(function\([a-z]\)\{let [A-Z]=A1\(\d+\),\{children:)([A-Z])(,dimColor:)([a-z])(\}=[a-z])/;
+    const r3Match = patched.match(r3Pattern);
+    if (r3Match) {
+      patched = patched.replace(r3Match[0], () => `${r3Match[1]}${r3Match[2]}${r3Match[3]}${r3Match[4]},color:$rc${r3Match[5]}`);
+      colorPatchCount++;
+    }
+
+    const r3MemoMarker = 'R3=mP.default.memo(function';
+    const r3Start = patched.indexOf(r3MemoMarker);
+    if (r3Start !== -1) {
+      const memoOpenParen = r3Start + 'R3=mP.default.memo'.length;
+      let depth = 0, r3End = memoOpenParen;
+      for (let i = memoOpenParen; i < patched.length && i < memoOpenParen + 3000; i++) {
+        if (patched[i] === '(') depth++;
+        if (patched[i] === ')') { depth--; if (depth === 0) { r3End = i + 1; break; } }
+      }
+
+      let r3Body = patched.substring(r3Start, r3End);
+      const beforeR3 = r3Body;
+
+      r3Body = r3Body.replace(
+        /createElement\(a_,\{dim:!0\},/g,
+        'createElement(a_,{dim:!0,color:$rc},'
+      );
+      r3Body = r3Body.replace(
+        /createElement\(a_,null,/g,
+        'createElement(a_,{color:$rc},'
+      );
+
+      if (r3Body !== beforeR3) {
+        patched = patched.substring(0, r3Start) + r3Body + patched.substring(r3End);
+        colorPatchCount++;
+      }
+    }
+  } else if (contentInfo.patternType === 'A') {
+    const callPattern = new RegExp(
+      `(${reactVar.replace(/\$/g, '\\$')}\\.(?:default\\.)?createElement\\(f,)null(,${reactVar.replace(/\$/g, '\\$')}\\.(?:default\\.)?createElement\\(R3,null,${contentVar}\\)\\))`,
+      'g'
+    );
+
+    const before = patched;
+    patched = patched.replace(callPattern, `$1{color:'${colorValue}'}$2`);
+    if (patched !== before) colorPatchCount++;
+  }
+
+  return { patched, colorPatchCount };
+}
+
+// ============================================
+// SIGNATURE REGISTRY
+// One entry per supported minifier layout. Each entry declares, for every
+// patch step, how to detect the site, how to rewrite it and how to confirm
+// the rewrite took. Supporting a new layout means adding an entry here.
+// ============================================
+
+/**
+ * Restrict a shared detector to the layout versions it reports
+ * @param {function} detector - Detector returning an info object with .version
+ * @param {...string} versions - Accepted info.version values
+ * @returns {function} Detector returning null for other layouts
+ */
+function forLayout(detector, ...versions) {
+  return (content) => {
+    const info = detector(content);
+    return info && versions.includes(info.version) ? info : null;
+  };
+}
+
+/**
+ * Build an apply function that swaps info.fullMatch for a generated replacement
+ * @param {function} build - (info, colors) => replacement string
+ * @returns {function} (patched, info, colors) => {patched, modifications} or null on mismatch
+ */
+function replaceFullMatch(build) {
+  return (patched, info, colors) => {
+    if (!patched.includes(info.fullMatch)) return null;
+    const replacement = build(info, colors);
+    return { patched: patched.replace(info.fullMatch, () => replacement), modifications: 1 };
+  };
+}
+
+/**
+ * Build an apply function from a content color threader
+ * @param {function} threader - (patched, info, color) => {patched, colorPatchCount}
+ * @returns {function} (patched, info, colors) => {patched, modifications} or null when nothing matched
+ */
+function threadContentColor(threader) {
+  return (patched, info, colors) => {
+    const result = threader(patched, info, colors.contentColor);
+    if (result.colorPatchCount === 0) return null;
+    return { patched: result.patched, modifications: result.colorPatchCount };
+  };
+}
+
+/**
+ * Build a verification predicate that re-runs a detector on patched output
+ * @param {function} detector - Detector for the patch site
+ * @returns {function} (patched) => true when the site reads as patched
+ */
+function reportsPatched(detector) {
+  return (patched) => {
+    const info = detector(patched);
+    return !!(info && info.isPatched);
+  };
+}
+
+/**
+ * Define a registry step from its detector; verify defaults to re-detection
+ */
+function step(detect, apply) {
+  return { detect, apply, verify: reportsPatched(detect) };
+}
+
+// Read the injected color literal out of a patched site: color:"#hex" or color:'#hex'
+function injectedColor(info) {
+  const match = info.fullMatch && info.fullMatch.match(/color:(["'])([^"']+)\1/);
+  return match ? match[2] : null;
+}
+
+/**
+ * Define a color step: besides applying, it can rewrite the injected color on a
+ * patched site and confirm both the new literal and the plumbing that carries it
+ * @param {function} detect - Detector for the site
+ * @param {function} apply - Apply function for an unpatched site
+ * @param {string} colorKey - 'headerColor' or 'contentColor'
+ * @param {function} [plumbing] - (info) => strings the patched file must contain for the color to reach the Text elements
+ */
+function colorStep(detect, apply, colorKey, plumbing = () => []) {
+  return {
+    ...step(detect, apply),
+    recolor: (patched, info, colors) => {
+      if (!patched.includes(info.fullMatch)) return null;
+      const recolored = info.fullMatch.replace(/color:(["'])[^"']+\1/, (m, quote) => `color:${quote}${colors[colorKey]}${quote}`);
+      return { patched: patched.replace(info.fullMatch, () => recolored), modifications: 1 };
+    },
+    verifyColor: (patched, colors) => {
+      const info = detect(patched);
+      return !!(info && info.isPatched &&
+        sameColor(injectedColor(info), colors[colorKey]) &&
+        plumbing(info).every(piece => patched.includes(piece)));
+    },
+  };
+}
+
+function sameColor(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Whether a detected color step is patched with a different color than requested
+ */
+function needsRecolor(patchStep, detected, colors) {
+  return !!(patchStep.colorKey && colors[patchStep.colorKey] && detected && detected.info.isPatched &&
+    detected.recipe.steps[patchStep.id].recolor &&
+    !sameColor(injectedColor(detected.info), colors[patchStep.colorKey]));
+}
+
+// Patch steps in application order
+// when: whether the step applies for the resolved colors
+// colorKey: which resolved color a color step injects
+const PATCH_STEPS = [
+  {
+    id: 'collapsedView',
+    label: 'Collapsed view',
+    when: () => true,
+    describe: (colors, recipe) => `Collapsed view disabled (${recipe.id})`,
+  },
+  {
+    id: 'thinkingCase',
+    label: 'Thinking case',
+    when: () => true,
+    describe: (colors, recipe) => `Thinking visibility forced (${recipe.id})`,
+  },
+  {
+    id: 'headerColor',
+    label: 'Header color',
+    colorKey: 'headerColor',
+    when: (colors) => !!colors.headerColor,
+    describe: (colors, recipe) => `Header color: ${colors.headerColor} (${recipe.id})`,
+  },
+  {
+    id: 'contentColor',
+    label: 'Content color',
+    colorKey: 'contentColor',
+    when: (colors) => !!colors.contentColor,
+    describe: (colors, recipe, modifications) =>
+      `Content color: ${colors.contentColor} (${modifications} modifications, ${recipe.id})`,
+  },
+];
+
+// Variables the content color threading introduces
+const plumbingV249 = () => ['color:$tc', 'color:$fc'];
+const plumbingV219 = (info) => (info.patternType === 'B' ? ['color:$cc', 'color:$rc'] : []);
+
+const buildHeaderV269 = (info, colors) =>
+  `${info.reactVar}.default.createElement(${info.textElement},{italic:!0,color:"${colors.headerColor}"},"∴ Thinking","…")`;
+const buildHeaderV219 = (info, colors) =>
+  `${info.reactVar}.default.createElement(${info.textElement},{italic:!0,color:"${colors.headerColor}"},${info.textVar},"…")`;
+
+// Newest layout first: ties in detection score go to the newer recipe
+// range: versions the layout covers (min inclusive, max exclusive, null = open)
+// tested: versions the recipe has been verified against
+const RECIPES = [
+  {
+    id: 'v2.1.69',
+    range: { min: '2.1.69', max: null },
+    tested: ['2.1.69'],
+    steps: {
+      // if(!(z||w)){ → if(!1){
+      collapsedView: step(
+        forLayout(extractThinkingComponentV249, 'v2.1.69'),
+        replaceFullMatch(() => 'if(!1){')
+      ),
+      // case"thinking":{if(!D&&!_)return null; → if(!1)return null;
+      thinkingCase: step(
+        detectThinkingPatternV249,
+        replaceFullMatch(() => 'case"thinking":{if(!1)return null;')
+      ),
+      // Literal "∴ Thinking","…" header
+      headerColor: colorStep(detectExpandedHeaderV269, replaceFullMatch(buildHeaderV269), 'headerColor'),
+      // Thread color through eJ → f3 → UO chain
+      contentColor: colorStep(
+        detectThinkingContentV249, threadContentColor(applyContentColorV249), 'contentColor', plumbingV249
+      ),
+    },
+  },
+  {
+    id: 'v2.1.49',
+    range: { min: '2.1.49', max: '2.1.69' },
+    tested: ['2.1.49'],
+    steps: {
+      // let X=z||w → let X=!0
+      collapsedView: step(
+        forLayout(extractThinkingComponentV249, 'v2.1.49+'),
+        replaceFullMatch((info) => `let ${info.expandedVar}=!0`)
+      ),
+      // 3-var guard → if(!1)return null;
+      thinkingCase: step(
+        detectThinkingPatternV249,
+        replaceFullMatch(() => 'case"thinking":{if(!1)return null;')
+      ),
+      // Variable text reference: createElement(f,{...},D,"…")
+      headerColor: colorStep(detectExpandedHeaderV219, replaceFullMatch(buildHeaderV219), 'headerColor'),
+      contentColor: colorStep(
+        detectThinkingContentV249, threadContentColor(applyContentColorV249), 'contentColor', plumbingV249
+      ),
+    },
+  },
+  {
+    id: 'v2.1.32',
+    range: { min: '2.1.19', max: '2.1.49' },
+    tested: ['2.1.32'],
+    steps: {
+      // let D=z,j; → let D=!0,j;
+      collapsedView: step(
+        extractThinkingComponentV219,
+        replaceFullMatch((info) => `let ${info.expandedVar}=!0,${info.secondVar};`)
+      ),
+      // V=!1 → V=!0 so the memoized guard flag is always true
+      thinkingCase: step(
+        detectThinkingPatternV219,
+        replaceFullMatch((info) => info.fullMatch.replace(
+          `${info.memoVar}=!1,q[0]=${info.memoVar}`,
+          `${info.memoVar}=!0,q[0]=${info.memoVar}`
+        ))
+      ),
+      headerColor: colorStep(detectExpandedHeaderV219, replaceFullMatch(buildHeaderV219), 'headerColor'),
+      // Thread color through $J → R3 chain
+      contentColor: colorStep(
+        detectThinkingContentV219, threadContentColor(applyContentColorV219), 'contentColor', plumbingV219
+      ),
+    },
+  },
+];
+
+/**
+ * Find the recipe whose version range covers a version
+ * @param {string} version - Installed Claude Code version
+ * @returns {object|null} Recipe or null when unknown / out of range
+ */
+function recipeForVersion(version) {
+  if (!parseVersion(version)) return null;
+  return RECIPES.find(recipe =>
+    compareVersions(version, recipe.range.min) >= 0 &&
+    (recipe.range.max === null || compareVersions(version, recipe.range.max) < 0)
+  ) || null;
+}
+
+/**
+ * Classify how well a version is supported
+ * - known-good: listed in a recipe's tested versions
+ * - probably-works: inside a recipe's range, not newer than the latest tested release
+ * - untested: unknown version, outside every range, or newer than anything tested
+ * @param {string} version - Installed Claude Code version
+ * @returns {object} {status, recipe, reason}
+ */
+function classifyVersion(version) {
+  if (!parseVersion(version)) {
+    return { status: 'untested', recipe: null, reason: 'version could not be determined' };
   }
 
-  console.log(`📁 Found: ${cliPath}`);
-  const backupPath = cliPath + '.backup';
+  const recipe = recipeForVersion(version);
+  const latestTested = RECIPES.flatMap(r => r.tested).sort(compareVersions).pop();
 
-  // Handle restore
-  if (RESTORE) {
-    if (!fs.existsSync(backupPath)) {
-      console.error('❌ No backup found at:', backupPath);
-      process.exit(1);
+  if (recipe && recipe.tested.some(v => compareVersions(v, version) === 0)) {
+    return { status: 'known-good', recipe, reason: `tested with recipe ${recipe.id}` };
+  }
+  if (compareVersions(version, latestTested) > 0) {
+    return { status: 'untested', recipe, reason: `newer than anything known (latest tested: ${latestTested})` };
+  }
+  if (recipe) {
+    return { status: 'probably-works', recipe, reason: `inside the ${recipe.id} range but not tested` };
+  }
+  return { status: 'untested', recipe: null, reason: 'outside every known version range' };
+}
+
+/**
+ * Run every recipe's detectors and pick a recipe per patch step
+ * The recipe whose version range covers the installed version is tried first.
+ * The rest are ordered by how many steps they recognize; a step the preferred
+ * recipe cannot find falls back to the next recipe that can and is flagged.
+ * @param {string} content - CLI.js file content
+ * @param {string} [version] - Installed Claude Code version
+ * @returns {object} {preferred, ranking, steps: {stepId: {recipe, info, fallback} | null}}
+ */
+function detectPatches(content, version) {
+  const preferred = recipeForVersion(version);
+
+  const scored = RECIPES.map((recipe, order) => {
+    const found = {};
+    for (const { id } of PATCH_STEPS) {
+      found[id] = recipe.steps[id] ? recipe.steps[id].detect(content) : null;
     }
-    if (DRY_RUN) {
-      console.log('🔄 [DRY RUN] Would restore from backup');
-    } else {
-      fs.copyFileSync(backupPath, cliPath);
-      console.log('✅ Restored from backup');
+    const score = Object.values(found).filter(Boolean).length;
+    return { recipe, found, score, order };
+  });
+
+  const ranking = [...scored].sort((a, b) =>
+    (b.recipe === preferred) - (a.recipe === preferred) || b.score - a.score || a.order - b.order
+  );
+
+  const steps = {};
+  for (const { id } of PATCH_STEPS) {
+    const hit = ranking.find(entry => entry.found[id]);
+    steps[id] = hit
+      ? {
+        recipe: hit.recipe,
+        info: hit.found[id],
+        fallback: !!preferred && hit.recipe !== preferred,
+        candidates: ranking.filter(entry => entry.found[id]).length,
+      }
+      : null;
+  }
+
+  return { preferred, ranking: ranking.map(entry => ({ id: entry.recipe.id, score: entry.score })), steps };
+}
+
+/**
+ * Apply every detected, unpatched step through its recipe
+ * Color steps that are already patched with another color are recolored in place.
+ * @param {string} content - CLI.js file content
+ * @param {object} detections - Result of detectPatches()
+ * @param {object} colors - {headerColor, contentColor}
+ * @param {Set} [selected] - Step ids to apply (default: all)
+ * @returns {object} {patched, results: [{step, recipe, status, modifications, previousColor}]}
+ */
+function applyPatches(content, detections, colors, selected = new Set(selection.PATCH_IDS)) {
+  let patched = content;
+  const results = [];
+
+  for (const patchStep of PATCH_STEPS) {
+    const detected = detections.steps[patchStep.id];
+    if (!detected || !selected.has(patchStep.id) || !patchStep.when(colors)) continue;
+
+    const { recipe, info } = detected;
+    if (needsRecolor(patchStep, detected, colors)) {
+      const outcome = recipe.steps[patchStep.id].recolor(patched, info, colors);
+      if (!outcome) {
+        results.push({ step: patchStep, recipe, status: 'failed' });
+        continue;
+      }
+      patched = outcome.patched;
+      results.push({ step: patchStep, recipe, status: 'recolored', previousColor: injectedColor(info) });
+      continue;
     }
-    return;
+    if (info.isPatched) {
+      results.push({ step: patchStep, recipe, status: 'already' });
+      continue;
+    }
+
+    const outcome = recipe.steps[patchStep.id].apply(patched, info, colors);
+    if (!outcome) {
+      results.push({ step: patchStep, recipe, status: 'failed' });
+      continue;
+    }
+
+    patched = outcome.patched;
+    results.push({ step: patchStep, recipe, status: 'applied', modifications: outcome.modifications });
   }
 
-  // Read file
-  const content = fs.readFileSync(cliPath, 'utf8');
-  const version = getVersion(content);
+  return { patched, results };
+}
+
+/**
+ * Confirm each applied step reads as patched in the output
+ * Recolored steps must also carry the requested color and their plumbing.
+ * @param {string} patched - Patched file content
+ * @param {Array} results - Results from applyPatches()
+ * @param {object} [colors] - {headerColor, contentColor}, needed for recolored steps
+ * @returns {Array} Labels of steps that failed verification
+ */
+function verifyPatches(patched, results, colors) {
+  return results
+    .filter(r => {
+      const recipeStep = r.recipe.steps[r.step.id];
+      if (r.status === 'applied') return !recipeStep.verify(patched);
+      if (r.status === 'recolored') return !recipeStep.verifyColor(patched, colors);
+      return false;
+    })
+    .map(r => r.step.label);
+}
+
+/**
+ * Compile source without running it
+ * Tried as a classic script first (vm.Script); ES module builds of cli.js are
+ * parsed with acorn when it is installed, else checked with `node --check`.
+ * @param {string} source - JavaScript source
+ * @param {object} [options] - {spawn: false to skip the node fallback}
+ * @returns {object} {ok, mode: 'script'|'module'|'unchecked', error}
+ */
+function checkSyntax(source, { spawn = true } = {}) {
+  let scriptError;
+  try {
+    new vm.Script(source, { filename: 'cli.js' });
+    return { ok: true, mode: 'script' };
+  } catch (e) {
+    scriptError = e.message;
+  }
+  // Report the module error only when the script error says the source is a module
+  const looksLikeModule = /module|import|export/.test(scriptError);
+
+  const acorn = loadAcorn();
+  if (acorn) {
+    try {
+      acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'module', allowHashBang: true });
+      return { ok: true, mode: 'module' };
+    } catch (e) {
+      if (!looksLikeModule) return { ok: false, mode: 'script', error: scriptError };
+      return { ok: false, mode: 'module', error: e.message };
+    }
+  }
+
+  if (!spawn) {
+    if (!looksLikeModule) return { ok: false, mode: 'script', error: scriptError };
+    return { ok: true, mode: 'unchecked', error: 'module syntax not checked (acorn not installed)' };
+  }
+
+  // Drop NODE_OPTIONS so a preloaded thinker-hook.js doesn't follow into the check
+  const { NODE_OPTIONS, ...env } = process.env;
+  const check = spawnSync(process.execPath, ['--input-type=module', '--check'], {
+    input: source,
+    encoding: 'utf8',
+    env,
+    timeout: 60000,
+    maxBuffer: 16 * 1024 * 1024,
+  });
+  if (check.status === 0) return { ok: true, mode: 'module' };
+
+  if (!looksLikeModule) return { ok: false, mode: 'script', error: scriptError };
+  const reported = check.error ? check.error.message : (check.stderr || '').split('\n').find(line => /Error/.test(line));
+  return { ok: false, mode: 'module', error: (reported || 'module syntax check failed').trim() };
+}
+
+// The regex engine runs without `npm install`; null when acorn is missing
+function loadAcorn() {
+  try {
+    return require('acorn');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Verify patched output before it is written
+ * 1. The source still compiles (unless the input didn't either)
+ * 2. Every detector is re-run: applied and recolored steps read as patched,
+ *    and steps that were detected but left alone are still found
+ * @param {string} content - Content that was patched
+ * @param {string} patched - Patched content
+ * @param {object} run - {detections, results, colors, version, spawn}
+ * @returns {object} {ok, syntax, checks: [step ids], failures: [messages]}
+ */
+function verifyOutput(content, patched, { detections, results, colors, version, spawn = true }) {
+  const failures = [];
+  const checks = [];
+
+  let syntax = checkSyntax(patched, { spawn });
+  if (!syntax.ok) {
+    const before = checkSyntax(content, { spawn });
+    if (before.ok) failures.push(`patched source does not compile: ${syntax.error}`);
+    else syntax = { ok: true, mode: 'unchecked', error: `input does not compile either: ${before.error}` };
+  }
+
+  const redetected = detectPatches(patched, version);
+  for (const { id, label } of PATCH_STEPS) {
+    const result = results.find(r => r.step.id === id);
+    const after = redetected.steps[id];
+    if (result && (result.status === 'applied' || result.status === 'recolored')) {
+      if (after && after.info.isPatched) checks.push(id);
+      else failures.push(`${label}: not detected as patched`);
+    } else if (detections.steps[id] && !after) {
+      failures.push(`${label}: no longer detected after patching`);
+    }
+  }
+
+  for (const label of verifyPatches(patched, results, colors)) {
+    failures.push(`${label}: recipe verification failed`);
+  }
+
+  return { ok: failures.length === 0, syntax, checks, failures };
+}
+
+/**
+ * Resolve header/content colors from a theme preset, color presets, or raw values
+ * @param {object} options - {theme, color, contentColor}
+ * @returns {object} {headerColor, contentColor}
+ */
+function resolveColors({ theme, color, contentColor }) {
+  if (theme && THEME_PRESETS[theme]) {
+    return { headerColor: THEME_PRESETS[theme].header, contentColor: THEME_PRESETS[theme].content };
+  }
+
+  const headerColor = color ? (COLOR_PRESETS[color] || color) : null;
+  return {
+    headerColor,
+    contentColor: contentColor ? (COLOR_PRESETS[contentColor] || contentColor) : headerColor,
+  };
+}
+
+/**
+ * Patch a cli.js source string without touching the filesystem or logging
+ * Used by the runtime hook; main() drives the same steps with reporting.
+ * @param {string} content - CLI.js source
+ * @param {object} [options] - {theme, color, contentColor, only, skip, version}
+ * @returns {object} {patched, results, applied} - patched === content when nothing applied or verification failed
+ */
+function patchSource(content, options = {}) {
+  const colors = resolveColors(options);
+  const { ok, selected, error } = selection.parseSelection(options);
+  if (!ok) throw new Error(error);
+  const version = options.version || getVersion(content);
+  const detections = detectPatches(content, version);
+  const { patched, results } = applyPatches(content, detections, colors, selected);
+  const applied = results.filter(r => r.status === 'applied' || r.status === 'recolored').length;
+
+  // No child node process here: it would run under every hooked `claude` launch
+  if (applied === 0 || !verifyOutput(content, patched, { detections, results, colors, version, spawn: false }).ok) {
+    return { patched: content, results, applied: 0 };
+  }
+  return { patched, results, applied };
+}
+
+// Print shell setup that loads thinker-hook.js into every node process
+function printHookSetup(options) {
+  const hookPath = path.join(__dirname, 'thinker-hook.js');
+  if (options.theme) console.log(`export THINKER_THEME=${JSON.stringify(options.theme)}`);
+  if (options.color) console.log(`export THINKER_COLOR=${JSON.stringify(options.color)}`);
+  if (options.contentColor) console.log(`export THINKER_CONTENT_COLOR=${JSON.stringify(options.contentColor)}`);
+  if (options.only) console.log(`export THINKER_ONLY=${JSON.stringify(options.only)}`);
+  if (options.skip) console.log(`export THINKER_SKIP=${JSON.stringify(options.skip)}`);
+  // Quoted for NODE_OPTIONS (paths with spaces), then escaped for the shell's double quotes
+  const requireArg = `"${hookPath.replace(/[\\"]/g, '\\$&')}"`;
+  console.log(`export NODE_OPTIONS="--require ${requireArg.replace(/[\\"$`]/g, '\\$&')}\${NODE_OPTIONS:+ $NODE_OPTIONS}"`);
+}
+
+// Copy Claude Code to a user-owned directory, patch the copy, and (first run) write the shim
+function runShadow(options) {
+  const stamp = options.sync ? shadow.readStamp() : null;
+  if (options.sync && !stamp) {
+    console.error('❌ No shadow install to re-sync. Run "thinker shadow" first.');
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+
+  const upstreamCli = stamp ? stamp.upstream : findClaudeCode();
+  if (!upstreamCli || !fs.existsSync(upstreamCli)) {
+    console.error('❌ Could not find Claude Code installation');
+    process.exit(EXIT.NOT_FOUND);
+  }
+  console.log(`📁 Upstream: ${upstreamCli}`);
+
+  const shadowOptions = stamp
+    ? stamp.options
+    : {
+      theme: options.theme,
+      color: options.color,
+      contentColor: options.contentColor,
+      only: options.only,
+      skip: options.skip,
+      binDir: options.binDir || shadow.defaultBinDir(),
+    };
+
+  const result = writeOrExit('shadow copy', () => shadow.syncShadow(upstreamCli, shadowOptions, (content) =>
+    patchSource(content, { ...shadowOptions, version: getInstalledVersion(upstreamCli, content).version })
+  ));
+  console.log(`📦 Private copy: ${result.packageDir}`);
+
+  for (const r of result.results) {
+    if (r.status === 'applied') console.log(`   ✅ ${r.step.describe(resolveColors(shadowOptions), r.recipe, r.modifications)}`);
+  }
+  if (result.applied === 0) {
+    console.log('   ⚠️  No patches applied; the copy runs unpatched');
+  }
+
+  if (options.sync) return;
+
+  const shimPath = shadow.writeShim(shadowOptions.binDir, __filename);
+  console.log(`\n🚀 Shim written: ${shimPath}`);
+
+  const onPath = (process.env.PATH || '').split(path.delimiter).includes(shadowOptions.binDir);
+  if (!onPath) {
+    console.log(`   ⚠️  ${shadowOptions.binDir} is not on PATH; add it ahead of the global npm bin directory`);
+  }
+  console.log('\n🔄 Start claude from a new shell to use the patched copy.');
+}
+
+/**
+ * Build patch marker metadata for a run, keeping steps recorded by an earlier run
+ * @param {string} content - File content before this run
+ * @param {string} patched - Content produced by this run
+ * @param {Array} results - Results from applyPatches()
+ * @param {object} colors - {headerColor, contentColor}
+ * @param {object} detections - Result of detectPatches()
+ * @returns {object} Marker metadata for stampMarker()
+ */
+function buildMarkerMeta(content, patched, results, colors, detections) {
+  const previous = markers.readMarker(content);
+  const steps = { ...(previous ? previous.meta.steps : {}) };
+
+  for (const result of results) {
+    if (result.status !== 'applied' && result.status !== 'recolored') continue;
+    steps[result.step.id] = { recipe: result.recipe.id };
+    if (result.step.colorKey) steps[result.step.id].color = colors[result.step.colorKey];
+  }
+
+  const firstApplied = results.find(r => r.status === 'applied' || r.status === 'recolored');
+  return {
+    engine: 'regex',
+    recipe: (detections.preferred || firstApplied.recipe).id,
+    colors: {
+      header: steps.headerColor ? steps.headerColor.color : null,
+      content: steps.contentColor ? steps.contentColor.color : null,
+    },
+    steps,
+    ...manifest.buildManifest(content, patched, manifest.diffEdits(content, patched)),
+  };
+}
+
+// "extract-fixture": cut the detected code out of cli.js and check it still detects the same
+function runExtractFixture(cliPath, content, outPath) {
+  const { version } = getInstalledVersion(cliPath, content);
   console.log(`📦 Version: ${version}\n`);
 
-  // Detect patterns - try v2.1.49 first, fall back to v2.1.32
-  const thinkingComponentInfo = extractThinkingComponentV249(content) || extractThinkingComponentV219(content);
-  const thinkingInfo = detectThinkingPatternV249(content) || detectThinkingPatternV219(content);
-  const expandedHeaderInfo = detectExpandedHeaderV269(content) || detectExpandedHeaderV219(content);
-  const thinkingContentInfo = detectThinkingContentV249(content) || detectThinkingContentV219(content);
+  const detections = detectPatches(content, version);
+  const anchored = detectThinkingContentAnchored(content);
+  const contentInfo = detections.steps.contentColor && detections.steps.contentColor.info;
+  const components = anchored ? [anchored.contentComponent] : contentInfo ? [contentInfo.contentComponent] : [];
 
-  // Resolve colors from theme preset, individual presets, or use as-is
-  let resolvedHeaderColor, resolvedContentColor;
+  let fixture;
+  try {
+    fixture = fixtures.extractFixture(content, { version, components });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
 
-  if (THEME && THEME_PRESETS[THEME]) {
-    resolvedHeaderColor = THEME_PRESETS[THEME].header;
-    resolvedContentColor = THEME_PRESETS[THEME].content;
-  } else {
-    resolvedHeaderColor = CUSTOM_COLOR ? (COLOR_PRESETS[CUSTOM_COLOR] || CUSTOM_COLOR) : null;
-    resolvedContentColor = CONTENT_COLOR
-      ? (COLOR_PRESETS[CONTENT_COLOR] || CONTENT_COLOR)
-      : resolvedHeaderColor;
+  console.log('✂️  Extracted regions:');
+  for (const region of fixture.regions) {
+    console.log(`   • ${region.name} (${region.labels.join(', ')}): bytes ${region.bytes[0]}-${region.bytes[1]}`);
+  }
+  for (const label of fixture.missing) console.log(`   ⚠️  No named function around the ${label}`);
+  if (fixture.regions.length === 0) {
+    report.exitReason('No thinking code found');
+    console.error('\n❌ No thinking code found to extract');
+    process.exit(EXIT.UNSUPPORTED_VERSION);
   }
 
-  console.log('🔬 Pattern Detection:');
+  const syntax = checkSyntax(fixture.source);
+  if (!syntax.ok) {
+    console.error(`\n❌ Extracted fixture does not parse: ${syntax.error}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
 
-  if (thinkingComponentInfo) {
-    console.log(`   ✅ Collapsed view: guard detected (${thinkingComponentInfo.version || 'legacy'})`);
-  } else {
-    console.log('   ⚠️  Collapsed view not detected');
+  // A step the fixture no longer detects depends on code outside the extracted functions
+  const extracted = detectPatches(fixture.source, version);
+  const lost = PATCH_STEPS.filter(({ id }) => detections.steps[id] && !extracted.steps[id]);
+  console.log(`\n🔍 Detected in the fixture: ${PATCH_STEPS.filter(({ id }) => extracted.steps[id]).map(({ id }) => id).join(', ') || 'nothing'}`);
+  for (const { label } of lost) console.log(`   ⚠️  ${label} is detected in cli.js but not in the fixture`);
+
+  report.set({
+    version,
+    fixture: {
+      bytes: Buffer.byteLength(fixture.source),
+      regions: fixture.regions.map(({ name, labels, bytes }) => ({ name, labels, bytes })),
+      missing: fixture.missing,
+      lost: lost.map(({ id }) => id),
+    },
+  });
+  writeOrExit(io.describeTarget(outPath), () => io.writeOutput(outPath, fixture.source));
+  console.log(`\n✅ Fixture (${Buffer.byteLength(fixture.source)} bytes) written to ${io.describeTarget(outPath)}`);
+  report.set({ output: { path: outPath, backup: null } });
+}
+
+/**
+ * Read an install's patch state from its marker and the detectors
+ * @returns {object} {version, state, meta, patched: step labels} - state as in markers.inspectMarker()
+ */
+function inspectInstall(cliPath, content) {
+  const { version } = getInstalledVersion(cliPath, content);
+  const detections = detectPatches(content, version);
+  const patched = PATCH_STEPS.filter(({ id }) => detections.steps[id] && detections.steps[id].info.isPatched).map(step => step.label);
+  return { version, patched, ...markers.inspectMarker(content, patched.length > 0) };
+}
+
+// Run an engine script in a child process, passing its output and exit code through
+function runScript(script, args) {
+  const child = spawnSync(process.execPath, [script, ...args], { stdio: 'inherit' });
+  return child.status === null ? EXIT.GENERAL_ERROR : child.status;
+}
+
+// "config": show or change the defaults in the config file
+function runConfig(settings, [action = 'get', key, value], settingsError = null) {
+  const file = config.configPath();
+  if (key !== undefined && !config.KEYS.includes(key)) {
+    const hint = cli.suggest(key, config.KEYS);
+    console.error(`❌ Unknown config key "${key}"${hint ? `. Did you mean "${hint}"?` : ` (keys: ${config.KEYS.join(', ')})`}`);
+    process.exit(EXIT.GENERAL_ERROR);
   }
 
-  if (thinkingInfo) {
-    console.log(`   ✅ Thinking case: detected (${thinkingInfo.version || 'legacy'})`);
-  } else {
-    console.log('   ⚠️  Thinking case not detected');
+  if (action === 'get') {
+    if (value !== undefined) {
+      console.error(`❌ Usage: ${PROGRAM} config get [KEY]`);
+      process.exit(EXIT.GENERAL_ERROR);
+    }
+    if (key) {
+      // Like `git config`: nothing printed and exit 1 when the key isn't set
+      if (settings[key] === undefined) process.exit(EXIT.GENERAL_ERROR);
+      console.log(settings[key]);
+      return;
+    }
+    console.log(`# ${file}`);
+    for (const name of config.KEYS) {
+      if (settings[name] !== undefined) console.log(`${name}=${settings[name]}`);
+    }
+    const args = config.reapplyArgs(settings);
+    if (args) console.log(`# reapply runs: ${PROGRAM} ${args.join(' ')} (last patched ${settings.last.timestamp})`);
+    return;
   }
 
-  if (expandedHeaderInfo) {
-    console.log(`   ✅ Expanded header: "∴ Thinking…" text found`);
+  if (!key || (action === 'set') !== (value !== undefined)) {
+    console.error(`❌ Usage: ${PROGRAM} config ${action === 'set' ? 'set KEY VALUE' : 'unset KEY'}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  const updated = { ...settings };
+  if (action === 'set') {
+    // Validated exactly as the flag would be; colors as strictly as the AST engine takes them
+    const parsed = cli.parse(['patch', `--${key}=${value}`], { engine: 'regex', env: {} });
+    let error = parsed.ok ? selection.parseSelection(parsed.options).error : parsed.error;
+    if (!error && (key === 'color' || key === 'content-color')) {
+      try {
+        validateColor(value);
+      } catch (e) {
+        error = e.message;
+      }
+    }
+    if (error) {
+      console.error(`❌ ${error}`);
+      process.exit(EXIT.GENERAL_ERROR);
+    }
+    updated[key] = value;
   } else {
-    console.log('   ⚠️  Expanded header not detected');
+    delete updated[key];
+  }
+  if (settingsError) console.log(`⚠️  ${settingsError.message}; writing a new one`);
+  writeOrExit(file, () => config.writeConfig(updated, file));
+  console.log(action === 'set' ? `✅ ${key}=${value} (${file})` : `✅ ${key} unset (${file})`);
+}
+
+// "reapply": repeat the last successful patch, e.g. from a post-update hook
+function runReapply(settings, argv, options) {
+  const args = config.reapplyArgs(settings);
+  if (!args) {
+    console.error(`❌ No successful patch recorded yet; run "${PROGRAM} patch" first`);
+    process.exit(EXIT.GENERAL_ERROR);
   }
+  // Flags given to reapply (--dry-run, --force, --smoke, ...) pass through
+  const extra = argv.slice(argv.indexOf('reapply') + 1);
+  (options.json ? console.error : console.log)(`🔁 ${PROGRAM} ${[...args, ...extra].join(' ')}`);
+  process.exit(runScript(__filename, [...args, ...extra]));
+}
 
-  if (thinkingContentInfo) {
-    console.log(`   ✅ Thinking content: wrapper found (${thinkingContentInfo.contentComponent}, ${thinkingContentInfo.version || 'legacy'})`);
+/**
+ * Run the AST engine (thinker-ast.js) in-process on the same input, for --engine=both and auto
+ * @param {object} [options] - {worthPatching(steps): false stops after detection, e.g. when
+ *   --engine=auto would not pick the AST engine anyway}
+ * @returns {object} {ok, engine, tree, detections, steps, code, output, missing, error, run} -
+ *   steps are the ones it would apply (set once cli.js parses); output carries the AST
+ *   engine's marker; missing lists selected steps it found no site for; run is what
+ *   thinker-ast.js main() can reuse instead of parsing and patching again
+ */
+function runAstEngine(content, colors, selected, { worthPatching = () => true } = {}) {
+  const engine = require('./thinker-ast');
+  const { tree, error: unavailable } = engine.parseSource(content);
+  if (!tree) return { ok: false, missing: [], error: unavailable };
+
+  const detections = engine.detectPatterns(tree, content);
+  const steps = engine.appliedSteps(detections, colors, selected);
+  if (!worthPatching(steps)) return { ok: false, engine, tree, detections, steps, missing: [], error: null };
+  const { code, results, edits, error } = engine.applyPatches(content, tree, detections, colors, selected);
+  if (error) return { ok: false, engine, tree, detections, steps, missing: [], error: error.message };
+  const missing = Object.entries(engine.MARKER_STEPS)
+    .filter(([name, id]) => selected.has(id) && !detections[name].success &&
+      PATCH_STEPS.find(patchStep => patchStep.id === id).when(colors))
+    .map(([name, id]) => ({ id, error: detections[name].error }))
+    .concat(results.filter(result => result.status === 'failed').map(({ id }) => ({ id, error: 'found, but no site was edited' })));
+  const edited = engine.editedSteps(results);
+  const verification = engine.verifyPatchedCode(code, colors, engine.expectedPatches(edited));
+  const run = { content, tree, detections, code, verification };
+  const result = { engine, tree, detections, steps, code, missing, run };
+  if (!verification.valid) return { ...result, ok: false, error: `AST output failed verification: ${verification.error}` };
+  const output = markers.stampMarker(code, engine.buildMarkerMeta(content, code, edits, colors, edited));
+  return { ...result, ok: true, output };
+}
+
+// Run fn with console.warn and console.error muted, for AST engine runs whose problems are reported otherwise
+function quietly(fn) {
+  const { warn, error } = console;
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+    console.error = error;
+  }
+}
+
+/**
+ * Steps each engine would patch in content, for --engine=auto. The AST engine only
+ * patches and verifies (the costly part) when it covers every regex step.
+ * @returns {object} {ast: runAstEngine() result, ok only when it covers them and verifies,
+ *   astSteps, regexSteps, probe: what the chosen engine's run reuses:
+ *   {content, version, detections (regex), ast (its run)}}
+ */
+function engineSteps(content, cliPath, options, selected) {
+  const colors = resolveColors(options);
+  const { version } = getInstalledVersion(cliPath, content);
+  const detections = detectPatches(content, version);
+  const regexSteps = PATCH_STEPS.filter(patchStep => {
+    const detected = detections.steps[patchStep.id];
+    return selected.has(patchStep.id) && patchStep.when(colors) && detected &&
+      (!detected.info.isPatched || needsRecolor(patchStep, detected, colors));
+  }).map(patchStep => patchStep.id);
+  const covers = (steps) => steps.length > 0 && regexSteps.every(id => steps.includes(id));
+  const ast = quietly(() => runAstEngine(content, colors, selected, { worthPatching: covers }));
+  const astSteps = ast.steps || [];
+  return { ast, astSteps, regexSteps, probe: { content, version, detections, ast: ast.ok ? ast.run : null } };
+}
+
+/**
+ * --engine=auto: pick the AST engine when its dependencies load, cli.js parses,
+ * it patches every step the regex engine would and its output verifies; the regex
+ * engine otherwise. Problems with the target are left for the chosen engine to report.
+ *
+ * Each engine only recognizes its own edits, so a patched file stays with the engine
+ * its marker records while that engine covers every step the other one would patch
+ * in the original; otherwise the other engine repatches the original (--repatch).
+ * @returns {object} {engine: 'ast' or 'regex', reason, repatch, probe: see engineSteps(), or null}
+ */
+function chooseEngine(options) {
+  const { ok, selected } = selection.parseSelection({ only: options.only, skip: options.skip });
+  const cliPath = options.cliPath === io.STDIO ? io.STDIO : options.cliPath ? path.resolve(options.cliPath) : findClaudeCode();
+  if (!ok || !cliPath || (cliPath !== io.STDIO && !fs.existsSync(cliPath))) return { engine: 'regex', reason: null, repatch: false, probe: null };
+
+  const content = io.readInput(cliPath);
+  const marker = markers.readMarker(content);
+  const recorded = marker && ['regex', 'ast'].includes(marker.meta.engine) ? marker.meta.engine : null;
+  if (!recorded) {
+    const { ast, astSteps, regexSteps, probe } = engineSteps(content, cliPath, options, selected);
+    const choose = (engine, reason) => ({ engine, reason, repatch: false, probe });
+    if (!ast.steps) return choose('regex', ast.error);
+    const uncovered = regexSteps.filter(id => !astSteps.includes(id));
+    if (uncovered.length > 0) return choose('regex', `the AST engine does not patch ${uncovered.join(', ')}`);
+    if (astSteps.length === 0) return choose('regex', 'nothing for the AST engine to patch');
+    if (!ast.ok) return choose('regex', ast.error);
+    return choose('ast', `it patches ${astSteps.join(', ')}`);
+  }
+
+  const original = manifest.unpatch(content);
+  if (!original.ok) return { engine: recorded, reason: `patched by the ${recorded} engine; cannot switch: ${original.error}`, repatch: false, probe: null };
+  // The probe ran on the original, so only a repatching run can reuse it
+  const { ast, astSteps, regexSteps, probe } = engineSteps(original.original, cliPath, options, selected);
+  const stay = { engine: recorded, reason: `already patched by the ${recorded} engine`, repatch: false, probe: null };
+  const switchTo = (engine, why) => ({ engine, reason: `${why}; repatching the original`, repatch: true, probe });
+  if (recorded === 'ast') {
+    if (ast.ok || regexSteps.length === 0) return stay;
+    if (!ast.steps) return switchTo('regex', `the ast engine that patched it is unavailable: ${ast.error}`);
+    const uncovered = regexSteps.filter(id => !astSteps.includes(id));
+    if (uncovered.length === 0) return switchTo('regex', `the ast engine that patched it fails: ${ast.error}`);
+    return switchTo('regex', `the ast engine that patched it does not patch ${uncovered.join(', ')}`);
+  }
+  const uncovered = ast.ok ? astSteps.filter(id => !regexSteps.includes(id)) : [];
+  if (uncovered.length === 0) return stay;
+  return switchTo('ast', `the regex engine that patched it does not patch ${uncovered.join(', ')}`);
+}
+
+/**
+ * Where a patch edits cli.js: the named functions its edits land in and the
+ * span of original source they cover
+ * @returns {object|null} {functions, from, to}, null when nothing was edited
+ */
+function editSite(content, patched, functions) {
+  const edits = manifest.diffEdits(content, patched);
+  if (edits.length === 0) return null;
+  const names = edits.map(edit => {
+    const fn = fixtures.innermostFunction(functions, edit.offset);
+    return fn ? fn.name : 'top level';
+  });
+  return {
+    functions: [...new Set(names)],
+    from: edits[0].offset,
+    to: Math.max(...edits.map(edit => edit.offset + edit.original.length)),
+  };
+}
+
+/**
+ * --engine=both: patch with the AST engine too and compare with the regex result
+ * The engines agree when each step is patched by both or by neither, inside the
+ * same functions; they rarely write the same bytes, so a differing output alone
+ * is shown as a region diff (regex → ast) but does not count as disagreement.
+ * An AST engine that can't load or parse cli.js is an error, not a disagreement:
+ * there is nothing to compare, so the run exits GENERAL_ERROR.
+ * @param {object} regex - {patched, detections} of the regex engine
+ * @returns {object} {agree, ast: runAstEngine() result}
+ */
+function crossCheckEngines(cliPath, content, regex, colors, selected) {
+  console.log('\n⚖️  Cross-checking with the AST engine...');
+  const ast = runAstEngine(content, colors, selected);
+  if (!ast.tree) {
+    report.set({ engines: { agree: null, identical: false, steps: {}, error: ast.error } });
+    report.exitReason('AST engine unavailable');
+    console.error(`\n❌ AST engine unavailable, nothing to cross-check: ${ast.error}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+
+  const functions = fixtures.namedFunctions(ast.tree);
+  const steps = PATCH_STEPS.filter(patchStep => selected.has(patchStep.id) && patchStep.when(colors)).map(({ id }) => {
+    const only = new Set([id]);
+    const regexSite = editSite(content, applyPatches(content, regex.detections, colors, only).patched, functions);
+    const astSite = editSite(content, quietly(() => ast.engine.applyPatches(content, ast.tree, ast.detections, colors, only)).code, functions);
+    const same = regexSite && astSite ? regexSite.functions.join() === astSite.functions.join() : !regexSite && !astSite;
+    return { id, regex: regexSite, ast: astSite, same };
+  });
+  const agree = ast.ok && steps.every(step => step.same);
+  const identical = ast.ok && ast.code === regex.patched;
+
+  const describeSite = (site, missed) => (site
+    ? `${site.functions.join(', ')} @${site.from}-${site.to}`
+    : `not patched${missed && missed.error ? ` (${missed.error})` : ''}`);
+  for (const step of steps) {
+    const missed = ast.missing.find(({ id }) => id === step.id);
+    console.log(`   ${step.same ? '✅' : '❌'} ${step.id.padEnd(14)} regex: ${describeSite(step.regex).padEnd(28)} ast: ${describeSite(step.ast, missed)}`);
+  }
+  if (ast.error) console.log(`   ❌ ${ast.error}`);
+
+  report.set({
+    engines: {
+      agree,
+      identical,
+      steps: Object.fromEntries(steps.map(step => [step.id, { regex: step.regex, ast: step.ast, same: step.same }])),
+      error: ast.error || null,
+    },
+  });
+
+  if (identical) {
+    console.log('   ✅ Both engines produce the same output');
   } else {
-    console.log('   ⚠️  Thinking content wrapper not detected');
+    const regions = diff.regionDiffs(regex.patched, manifest.diffEdits(regex.patched, ast.code));
+    const file = path.basename(cliPath === io.STDIO ? 'cli.js' : cliPath);
+    console.log(`\n   The outputs differ in ${regions.length} region(s), regex → ast:\n`);
+    console.log(diff.formatRegionDiffs(file, regions));
   }
+  const disagreeing = steps.filter(step => !step.same).map(step => step.id);
+  if (agree) console.log(`\n   ✅ Both engines patch ${steps.filter(step => step.regex).map(step => step.id).join(', ') || 'nothing'} in the same functions`);
+  else if (disagreeing.length > 0) console.log(`\n   ❌ The engines disagree on ${disagreeing.join(', ')}`);
+  return { agree, ast };
+}
 
-  if (resolvedHeaderColor || resolvedContentColor) {
-    if (resolvedHeaderColor === resolvedContentColor) {
-      console.log(`   🎨 Color: ${resolvedHeaderColor}`);
-    } else {
-      console.log(`   🎨 Header: ${resolvedHeaderColor || 'default'}`);
-      console.log(`   🎨 Content: ${resolvedContentColor || 'default'}`);
+/**
+ * "diff": print every edited region; --emit-patch: write the full change as a unified patch
+ * @param {string} cliPath - Target cli.js
+ * @param {string} content - Current file content
+ * @param {string} patched - Patched content without the marker
+ * @param {string} output - Exactly what would be written (patched content plus marker)
+ * @param {string|null} emitPatch - Where to write the unified patch
+ */
+function reviewChanges(cliPath, content, patched, output, emitPatch) {
+  const file = cliPath === io.STDIO ? 'cli.js' : cliPath;
+  const regions = diff.regionDiffs(content, manifest.diffEdits(content, patched));
+  console.log(`\n🔎 ${regions.length} edited region(s):\n`);
+  console.log(diff.formatRegionDiffs(path.basename(file), regions));
+
+  if (emitPatch) {
+    const target = diff.patchTarget(file);
+    fs.writeFileSync(emitPatch, diff.unifiedPatch(content, output, { file: target.file }));
+    console.log(`\n📄 Patch written: ${emitPatch}`);
+    console.log(`   Apply with: (cd ${target.dir} && patch -p0 < ${path.resolve(emitPatch)})`);
+  }
+}
+
+// Main
+function main(argv = process.argv.slice(2)) {
+  let settings = {};
+  let settingsError = null;
+  try {
+    settings = config.readConfig();
+  } catch (e) {
+    settingsError = e;
+  }
+  const parsed = cli.parse(argv, { engine: 'regex', defaults: config.flagDefaults(settings) });
+  if (!parsed.ok) {
+    console.error(`❌ ${parsed.error}`);
+    console.error(`   Run "${PROGRAM}${parsed.command ? ` ${parsed.command}` : ''} --help" for usage.`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  const { command, options, positionals } = parsed;
+  if (command === 'help' || options.help) {
+    printHelp(command === 'help' ? positionals[0] : parsed.explicit ? command : null);
+    process.exit(EXIT.SUCCESS);
+  }
+  // `config set` and `config unset` replace an unreadable config; everything else stops
+  const rewritesConfig = command === 'config' && ['set', 'unset'].includes(positionals[0]);
+  if (settingsError && !rewritesConfig) {
+    console.error(`❌ ${settingsError.message}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  if (options.prefer && options.engine !== 'both') {
+    console.error('❌ --prefer only applies with --engine=both');
+    process.exit(EXIT.GENERAL_ERROR);
+  }
+  // --engine=auto, the default, picks an engine per run; --all leaves it to each install's run
+  let choice = null;
+  if ((options.engine || 'auto') === 'auto' && cli.COMMANDS[command].flags.includes('engine') && !options.all) {
+    choice = chooseEngine(options);
+    options.engine = choice.engine;
+    options.autoEngine = true;
+    options.repatch = options.repatch || choice.repatch;
+  }
+  // --engine=ast (or "engine": "ast" in the config) hands the run to thinker-ast.js, in this process
+  if (options.engine === 'ast') {
+    const args = cli.stripFlag(argv, 'engine');
+    if (options.repatch && !args.includes('--repatch')) args.push('--repatch');
+    require('./thinker-ast').main(args, { choice, auto: !!options.autoEngine });
+    return;
+  }
+  if (command === 'config') {
+    runConfig(settings, positionals, settingsError);
+    return;
+  }
+  if (command === 'reapply') {
+    runReapply(settings, argv, options);
+    return;
+  }
+  options.dryRun = options.dryRun || command === 'diff';
+  const backupsAction = command === 'backups' ? (positionals[0] || 'list') : null;
+
+  // With the file on stdout, everything else goes to stderr
+  const fromStdin = options.cliPath === io.STDIO;
+  const toStdout = command === 'extract-fixture' || (fromStdin && command !== 'doctor');
+  const outPath = options.out || (toStdout ? io.STDIO : null);
+  if (options.json) {
+    report.enableJson({ engine: options.engine === 'both' ? 'both' : 'regex', command: backupsAction ? `backups ${backupsAction}` : command, exitCodes: EXIT });
+    report.set({ dryRun: options.dryRun });
+    if (outPath === io.STDIO) {
+      console.error('❌ --json needs stdout for the report; write the file with --out=FILE');
+      process.exit(EXIT.GENERAL_ERROR);
     }
+  } else if (outPath === io.STDIO) {
+    io.routeLogsToStderr();
   }
 
-  // Check what patterns we can work with
-  const hasUnpatchedPatterns = (thinkingComponentInfo && !thinkingComponentInfo.isPatched) || (thinkingInfo && !thinkingInfo.isPatched);
-  const hasAlreadyPatched = (thinkingComponentInfo?.isPatched) || (expandedHeaderInfo?.isPatched) || (thinkingContentInfo?.isPatched);
-  const hasContentToColor = resolvedContentColor && thinkingContentInfo && !thinkingContentInfo.isPatched;
+  const { ok: selectionOk, selected, restricted, error: selectionError } = selection.parseSelection({ only: options.only, skip: options.skip });
+  if (!selectionOk) {
+    console.error(`❌ ${selectionError}`);
+    process.exit(EXIT.GENERAL_ERROR);
+  }
 
-  if (CHECK_ONLY) {
-    const patchable = hasUnpatchedPatterns || hasContentToColor;
-    console.log(`\n${patchable ? '✅ Version is patchable!' : hasAlreadyPatched ? '⚠️  Already patched (use --restore to reset)' : '❌ Version may not be fully patchable'}`);
-    process.exit(patchable ? 0 : 1);
+  if (command === 'hook') {
+    printHookSetup(options);
+    return;
   }
 
-  if (!hasUnpatchedPatterns && !hasContentToColor) {
-    if (hasAlreadyPatched) {
-      console.log('\n⚠️  File appears already patched. Use --restore to reset, then re-patch.');
-    } else {
-      console.error('\n❌ No patchable patterns found.');
-    }
-    process.exit(1);
+  if (command === 'themes') {
+    console.log(formatThemes());
+    return;
   }
 
-  // Apply patches
-  let patched = content;
-  let patchCount = 0;
+  console.log('🧠 Thinker - Claude Code Thinking Visibility Patch\n');
+  if (choice) console.log(`🧭 Engine: ${choice.engine}${choice.reason ? ` (${choice.reason})` : ''}\n`);
 
-  console.log('\n📝 Applying patches:');
+  if (command === 'shadow') {
+    runShadow(options);
+    return;
+  }
 
-  // Patch 1: Disable collapsed view
-  if (thinkingComponentInfo) {
-    if (thinkingComponentInfo.isPatched) {
-      console.log('   ⚠️  Component already patched');
-    } else if (thinkingComponentInfo.version === 'v2.1.69') {
-      // v2.1.69: Replace "if(!(z||w)){" with "if(!1){"
-      const replacement = 'if(!1){';
-
-      if (patched.includes(thinkingComponentInfo.fullMatch)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(thinkingComponentInfo.fullMatch, replacement);
-        }
-        patchCount++;
-        console.log('   ✅ Collapsed view disabled (v2.1.69)' + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Component patch failed - pattern mismatch');
-      }
-    } else if (thinkingComponentInfo.version === 'v2.1.49+') {
-      // v2.1.49: Replace "let X=z||w" with "let X=!0"
-      const replacement = `let ${thinkingComponentInfo.expandedVar}=!0`;
+  if (command === 'installs') {
+    process.exit(installs.runListInstalls(inspectInstall));
+  }
 
-      if (patched.includes(thinkingComponentInfo.fullMatch)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(thinkingComponentInfo.fullMatch, replacement);
-        }
-        patchCount++;
-        console.log('   ✅ Collapsed view disabled (v2.1.49)' + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Component patch failed - pattern mismatch');
-      }
-    } else {
-      // v2.1.32: Replace "let D=z,j;" with "let D=!0,j;"
-      const replacement = `let ${thinkingComponentInfo.expandedVar}=!0,${thinkingComponentInfo.secondVar};`;
+  if (command === 'doctor') {
+    process.exit(doctor.runDoctor(options, (cliPath, content) => {
+      const inspected = inspectInstall(cliPath, content);
+      return { ...inspected, support: classifyVersion(inspected.version) };
+    }));
+  }
 
-      if (patched.includes(thinkingComponentInfo.fullMatch)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(thinkingComponentInfo.fullMatch, replacement);
-        }
-        patchCount++;
-        console.log('   ✅ Collapsed view disabled (v2.1.32)' + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Component patch failed - pattern mismatch');
-      }
-    }
+  if (options.all) {
+    process.exit(installs.runAll(__filename, argv, command, options));
   }
 
-  // Patch 2: Thinking visibility - disable guard
-  if (thinkingInfo) {
-    if (thinkingInfo.isPatched) {
-      console.log('   ⚠️  Thinking already patched');
-    } else if (thinkingInfo.version === 'v2.1.49+') {
-      // v2.1.49: Replace 3-var guard with if(!1)
-      const original = thinkingInfo.fullMatch;
-      const replacement = 'case"thinking":{if(!1)return null;';
+  if (!options.cliPath) console.log('🔍 Finding Claude Code installation...');
 
-      if (patched.includes(original)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(original, replacement);
-        }
-        patchCount++;
-        console.log('   ✅ Thinking visibility forced (v2.1.49)' + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Thinking patch failed - pattern mismatch');
-      }
-    } else {
-      // v2.1.32: Change V=!1 to V=!0 to make Z=true, bypassing guard
-      const replacement = thinkingInfo.fullMatch.replace(
-        `${thinkingInfo.memoVar}=!1,q[0]=${thinkingInfo.memoVar}`,
-        `${thinkingInfo.memoVar}=!0,q[0]=${thinkingInfo.memoVar}`
-      );
+  const cliPath = fromStdin ? io.STDIO : options.cliPath ? path.resolve(options.cliPath) : findClaudeCode();
+  if (!fromStdin && (!cliPath || !fs.existsSync(cliPath))) {
+    console.error(options.cliPath ? `❌ ${options.cliPath} does not exist` : '❌ Could not find Claude Code installation');
+    if (!options.cliPath) console.error('   Searched common locations. Is Claude Code installed?');
+    process.exit(EXIT.NOT_FOUND);
+  }
 
-      if (patched.includes(thinkingInfo.fullMatch)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(thinkingInfo.fullMatch, replacement);
-        }
-        patchCount++;
-        console.log('   ✅ Thinking visibility forced (v2.1.32)' + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Thinking patch failed - pattern mismatch');
-      }
-    }
+  console.log(fromStdin ? '📁 Reading cli.js from stdin' : `📁 Found: ${cliPath}`);
+  report.set({ cliPath });
+
+  if (fromStdin && (command === 'backups' || command === 'restore')) {
+    console.error(`❌ ${command} needs a cli.js file, not stdin`);
+    process.exit(EXIT.GENERAL_ERROR);
   }
 
-  // Patch 3: Custom color for expanded header (optional)
-  // v2.1.19+: createElement(f,{dimColor:!0,italic:!0},D,"…") where D is variable
-  if (resolvedHeaderColor && expandedHeaderInfo) {
-    if (expandedHeaderInfo.isPatched) {
-      console.log('   ⚠️  Header color already patched');
-    } else if (expandedHeaderInfo.version === 'v2.1.69') {
-      // v2.1.69: Literal string "∴ Thinking","…"
-      const colorValue = `"${resolvedHeaderColor}"`;
-      const replacement = `${expandedHeaderInfo.reactVar}.default.createElement(${expandedHeaderInfo.textElement},{italic:!0,color:${colorValue}},"∴ Thinking","…")`;
+  // Only in-place writes touch the install; --out and stdout leave it alone
+  const writes = ['patch', 'restore', 'unpatch'].includes(command) || backupsAction === 'prune';
+  if (!outPath && !options.dryRun && writes) {
+    lock.lockInstall(cliPath);
+  }
 
-      if (patched.includes(expandedHeaderInfo.fullMatch)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(expandedHeaderInfo.fullMatch, replacement);
-        }
-        patchCount++;
-        console.log(`   ✅ Header color: ${resolvedHeaderColor} (v2.1.69)` + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Header color patch failed - pattern mismatch');
-      }
-    } else {
-      // v2.1.19+: Variable text reference
-      const colorValue = `"${resolvedHeaderColor}"`;
-      const replacement = `${expandedHeaderInfo.reactVar}.default.createElement(${expandedHeaderInfo.textElement},{italic:!0,color:${colorValue}},${expandedHeaderInfo.textVar},"…")`;
+  if (command === 'backups') {
+    backups.runBackupsCommand(cliPath, backupsAction, options);
+    return;
+  }
 
-      if (patched.includes(expandedHeaderInfo.fullMatch)) {
-        if (!DRY_RUN) {
-          patched = patched.replace(expandedHeaderInfo.fullMatch, replacement);
-        }
-        patchCount++;
-        console.log(`   ✅ Header color: ${resolvedHeaderColor}` + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log('   ❌ Header color patch failed - pattern mismatch');
-      }
+  if (command === 'restore') {
+    const installedVersion = getInstalledVersion(cliPath, fs.readFileSync(cliPath, 'utf8')).version;
+    if (!options.dryRun) sessions.checkRunningSessions(cliPath, options);
+    const restored = writeOrExit(cliPath, () => backups.restoreFromBackup(cliPath, {
+      installedVersion,
+      version: positionals[0] || null,
+      force: options.force,
+      dryRun: options.dryRun,
+    }));
+    if (!restored) {
+      process.exit(EXIT.GENERAL_ERROR);
     }
+    if (!options.dryRun) sessions.printRestartHint(cliPath);
+    return;
   }
 
-  // Patch 4: Custom color for thinking content
-  if (resolvedContentColor && thinkingContentInfo) {
-    if (thinkingContentInfo.isPatched) {
-      console.log('   ⚠️  Content color already patched');
-    } else if (thinkingContentInfo.version === 'v2.1.49+') {
-      // v2.1.49: Thread color through eJ → f3 → UO chain
-      const result = applyContentColorV249(patched, thinkingContentInfo, resolvedContentColor, DRY_RUN);
-      patched = result.patched;
-
-      if (result.colorPatchCount > 0) {
-        patchCount++;
-        console.log(`   ✅ Content color: ${resolvedContentColor} (${result.colorPatchCount} modifications, v2.1.49)` + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log(`   ❌ Content color: no patterns matched (v2.1.49)`);
-      }
-    } else {
-      // v2.1.32: Thread color through $J → R3 chain
-      const colorValue = resolvedContentColor;
-      const contentComp = thinkingContentInfo.contentComponent;
-      const reactVar = thinkingContentInfo.reactVar;
-      const contentVar = thinkingContentInfo.contentVar;
-      let colorPatchCount = 0;
-
-      if (thinkingContentInfo.patternType === 'B') {
-        const callPattern = `${reactVar}.default.createElement($J,{dimColor:!0},${contentVar})`;
-        const callReplacement = `${reactVar}.default.createElement($J,{dimColor:!0,color:'${colorValue}'},${contentVar})`;
-
-        if (patched.includes(callPattern)) {
-          if (!DRY_RUN) {
-            patched = patched.replace(callPattern, callReplacement);
-          }
-          colorPatchCount++;
-        }
+  // Read file
+  let content = io.readInput(cliPath);
 
-        const djPattern = /(function \$J\([A-Z]\)\{let [a-z]=A1\(\d+\),\{children:)([A-Z])(,dimColor:)([A-Z])(\}=[A-Z])/;
-        const djMatch = patched.match(djPattern);
-        if (djMatch) {
-          if (!DRY_RUN) {
-            patched = patched.replace(djMatch[0], `${djMatch[1]}${djMatch[2]}${djMatch[3]}${djMatch[4]},color:$cc${djMatch[5]}`);
-          }
-          colorPatchCount++;
-        }
+  if (command === 'status') {
+    process.exit(status.runStatus(cliPath, content, {
+      inspect: inspectInstall,
+      label: id => (PATCH_STEPS.find(step => step.id === id) || { label: id }).label,
+    }));
+  }
 
-        if (!DRY_RUN) {
-          const before = patched;
-          patched = patched.replace(
-            /R3,\{key:([A-Z_])\.length,dimColor:([A-Z])\},([A-Z])\.trim\(\)\)/g,
-            'R3,{key:$1.length,dimColor:$2,color:$cc},$3.trim())'
-          );
-          if (patched !== before) colorPatchCount++;
-        } else {
-          if (/R3,\{key:[A-Z_]\.length,dimColor:[A-Z]\},[A-Z]\.trim\(\)\)/.test(patched)) colorPatchCount++;
-        }
+  if (command === 'unpatch') {
+    process.exit(manifest.runUnpatch(cliPath, content, outPath, options));
+  }
 
-        const r3Pattern = /(R3=[A-Za-z0-9]+\.default\.memo\(function\([a-z]\)\{let [A-Z]=A1\(\d+\),\{children:)([A-Z])(,dimColor:)([a-z])(\}=[a-z])/;
-        const r3Match = patched.match(r3Pattern);
-        if (r3Match) {
-          if (!DRY_RUN) {
-            patched = patched.replace(r3Match[0], `${r3Match[1]}${r3Match[2]}${r3Match[3]}${r3Match[4]},color:$rc${r3Match[5]}`);
-          }
-          colorPatchCount++;
-        }
+  if (command === 'extract-fixture') {
+    runExtractFixture(cliPath, content, outPath);
+    return;
+  }
 
-        const r3MemoMarker = 'R3=mP.default.memo(function';
-        const r3Start = patched.indexOf(r3MemoMarker);
-        if (r3Start !== -1) {
-          const memoOpenParen = r3Start + 'R3=mP.default.memo'.length;
-          let depth = 0, r3End = memoOpenParen;
-          for (let i = memoOpenParen; i < patched.length && i < memoOpenParen + 3000; i++) {
-            if (patched[i] === '(') depth++;
-            if (patched[i] === ')') { depth--; if (depth === 0) { r3End = i + 1; break; } }
-          }
+  if (options.repatch) content = manifest.originalForRepatch(content);
 
-          let r3Body = patched.substring(r3Start, r3End);
-          const beforeR3 = r3Body;
-
-          if (!DRY_RUN) {
-            r3Body = r3Body.replace(
-              /createElement\(a_,\{dim:!0\},/g,
-              'createElement(a_,{dim:!0,color:$rc},'
-            );
-            r3Body = r3Body.replace(
-              /createElement\(a_,null,/g,
-              'createElement(a_,{color:$rc},'
-            );
-          }
+  const { version, source } = getInstalledVersion(cliPath, content);
+  console.log(`📦 Version: ${version}${source === 'package.json' ? ' (from package.json)' : ''}`);
 
-          if (r3Body !== beforeR3) {
-            patched = patched.substring(0, r3Start) + r3Body + patched.substring(r3End);
-            colorPatchCount++;
-          }
-        }
-      } else if (thinkingContentInfo.patternType === 'A') {
-        const callPattern = new RegExp(
-          `(${reactVar}\\.(?:default\\.)?createElement\\(f,)null(,${reactVar}\\.(?:default\\.)?createElement\\(R3,null,${contentVar}\\)\\))`,
-          'g'
-        );
+  const support = classifyVersion(version);
+  report.set({ version, versionSource: source, support: support.status });
+  if (support.status === 'known-good') {
+    console.log(`   ✅ Known good: ${support.reason}\n`);
+  } else if (support.status === 'probably-works') {
+    console.log(`   🟡 Probably works: ${support.reason}\n`);
+  } else {
+    console.log(`   ⚠️  Untested: ${support.reason}\n`);
+  }
 
-        if (!DRY_RUN) {
-          const before = patched;
-          patched = patched.replace(callPattern, `$1{color:'${colorValue}'}$2`);
-          if (patched !== before) colorPatchCount++;
-        } else {
-          if (callPattern.test(patched)) colorPatchCount++;
-        }
-      }
+  // --engine=auto already ran the detectors on this content
+  const probe = choice && choice.probe;
+  const detections = probe && probe.content === content && probe.version === version ? probe.detections : detectPatches(content, version);
 
-      if (colorPatchCount > 0) {
-        patchCount++;
-        console.log(`   ✅ Content color: ${resolvedContentColor} (${colorPatchCount} modifications, v2.1.32)` + (DRY_RUN ? ' [DRY RUN]' : ''));
-      } else {
-        console.log(`   ❌ Content color: no patterns matched (v2.1.32)`);
+  // Resolve colors from theme preset, individual presets, or use as-is
+  const colors = resolveColors(options);
+  const resolvedHeaderColor = colors.headerColor;
+  const resolvedContentColor = colors.contentColor;
+
+  console.log('🔬 Pattern Detection:');
+
+  for (const { id, label } of PATCH_STEPS) {
+    const detected = detections.steps[id];
+    if (!selected.has(id)) {
+      console.log(`   ⏭️  ${label}: skipped (${id})`);
+      continue;
+    }
+    if (!detected) {
+      console.log(`   ⚠️  ${label} not detected`);
+      continue;
+    }
+    const extra = id === 'contentColor' ? `${detected.info.contentComponent}, ` : '';
+    const state = detected.info.isPatched ? ', already patched' : '';
+    console.log(`   ✅ ${label}: detected (${extra}${detected.recipe.id}${state})`);
+    if (detected.fallback) {
+      console.log(`      ⚠️  Fell back to recipe ${detected.recipe.id}; ${detections.preferred.id} expected for ${version}`);
+    }
+  }
+
+  if (resolvedHeaderColor || resolvedContentColor) {
+    if (resolvedHeaderColor === resolvedContentColor) {
+      console.log(`   🎨 Color: ${resolvedHeaderColor}`);
+    } else {
+      console.log(`   🎨 Header: ${resolvedHeaderColor || 'default'}`);
+      console.log(`   🎨 Content: ${resolvedContentColor || 'default'}`);
+    }
+  }
+
+  if (restricted) {
+    console.log(`   🎯 Selected: ${selection.describeSelection(selected)}`);
+  }
+
+  report.set({
+    detectors: Object.fromEntries(PATCH_STEPS.map(({ id }) => {
+      const detected = detections.steps[id];
+      // Same shape in both engines; detail is engine-specific
+      return [id, {
+        selected: selected.has(id),
+        found: !!detected,
+        patched: !!detected && detected.info.isPatched,
+        recipe: detected ? detected.recipe.id : null,
+        candidates: detected ? detected.candidates : 0,
+        error: detected ? null : 'NOT_FOUND',
+        detail: detected ? { fallback: detected.fallback } : null,
+      }];
+    })),
+    colors: { header: resolvedHeaderColor || null, content: resolvedContentColor || null },
+  });
+
+  // Check what patterns we can work with among the selected steps
+  const selectedSteps = PATCH_STEPS.filter(patchStep => selected.has(patchStep.id));
+  const infoFor = (id) => detections.steps[id] && detections.steps[id].info;
+  const hasUnpatchedPatterns = selectedSteps.some(({ id }) =>
+    (id === 'collapsedView' || id === 'thinkingCase') && infoFor(id) && !infoFor(id).isPatched);
+  const hasAlreadyPatched = selectedSteps.some(({ id }) => infoFor(id)?.isPatched);
+  const hasColorToApply = selectedSteps.some(({ id, colorKey }) =>
+    colorKey && colors[colorKey] && infoFor(id) && !infoFor(id).isPatched);
+  const hasRecolor = selectedSteps.some(patchStep => needsRecolor(patchStep, detections.steps[patchStep.id], colors));
+
+  if (command === 'check') {
+    const patchable = hasUnpatchedPatterns || hasColorToApply || hasRecolor;
+    report.set({ patchable });
+    if (patchable && options.engine === 'both') {
+      const { patched } = applyPatches(content, detections, colors, selected);
+      const { agree } = crossCheckEngines(cliPath, content, { patched, detections }, colors, selected);
+      if (!agree) {
+        report.exitReason('The engines disagree');
+        console.log('\n❌ Patchable, but the engines disagree (patch with --prefer=regex or --prefer=ast)');
+        process.exit(EXIT.ENGINES_DISAGREE);
       }
     }
+    if (!patchable) report.exitReason(hasAlreadyPatched ? 'Already patched' : 'Version may not be fully patchable');
+    console.log(`\n${patchable ? '✅ Version is patchable!' : hasAlreadyPatched ? '⚠️  Already patched (run "thinker restore" to reset)' : '❌ Version may not be fully patchable'}`);
+    process.exit(patchable ? EXIT.SUCCESS : hasAlreadyPatched ? EXIT.ALREADY_PATCHED : EXIT.UNSUPPORTED_VERSION);
   }
 
-  if (patchCount === 0) {
-    console.log('\n⚠️  No patches applied. File may already be patched.');
-    return;
+  if (!hasUnpatchedPatterns && !hasColorToApply && !hasRecolor) {
+    if (hasAlreadyPatched) {
+      console.log('\n⚠️  File appears already patched. Pass --color/--content-color/--theme to recolor, or run "thinker restore" to reset.');
+      report.exitReason('File appears already patched');
+      process.exit(EXIT.ALREADY_PATCHED);
+    }
+    console.error('\n❌ No patchable patterns found.');
+    process.exit(EXIT.UNSUPPORTED_VERSION);
   }
 
-  // Write changes
-  if (!DRY_RUN) {
-    if (!fs.existsSync(backupPath)) {
-      fs.copyFileSync(cliPath, backupPath);
-      console.log(`\n💾 Backup created: ${backupPath}`);
+  // Apply patches
+  console.log('\n📝 Applying patches:');
+
+  const { patched, results } = applyPatches(content, detections, colors, selected);
+  report.set({
+    patches: results.map(result => ({
+      id: result.step.id,
+      status: result.status,
+      recipe: result.recipe.id,
+      color: result.step.colorKey ? colors[result.step.colorKey] : null,
+      previousColor: result.previousColor || null,
+    })),
+  });
+  const dryTag = options.dryRun ? ' [DRY RUN]' : '';
+  let patchCount = 0;
+
+  for (const result of results) {
+    if (result.status === 'applied') {
+      patchCount++;
+      console.log(`   ✅ ${result.step.describe(colors, result.recipe, result.modifications)}${dryTag}`);
+    } else if (result.status === 'recolored') {
+      patchCount++;
+      console.log(`   🎨 ${result.step.label}: ${result.previousColor} → ${colors[result.step.colorKey]} (recolored, ${result.recipe.id})${dryTag}`);
+    } else if (result.status === 'already') {
+      console.log(`   ⚠️  ${result.step.label} already patched`);
     } else {
-      console.log(`\n💾 Backup exists: ${backupPath}`);
+      console.log(`   ❌ ${result.step.label} patch failed - pattern mismatch (${result.recipe.id})`);
     }
+  }
 
-    fs.writeFileSync(cliPath, patched);
+  if (patchCount === 0) {
+    const mismatched = results.some(result => result.status === 'failed');
+    console.log(`\n⚠️  No patches applied. ${mismatched ? 'Patterns did not match this version.' : 'File may already be patched.'}`);
+    report.exitReason(mismatched ? 'Patterns did not match this version' : 'File may already be patched');
+    process.exit(mismatched ? EXIT.UNSUPPORTED_VERSION : EXIT.ALREADY_PATCHED);
+  }
+
+  // Selected steps with something to do that weren't detected or didn't apply
+  const missing = selectedSteps.filter(patchStep => patchStep.when(colors) && (!detections.steps[patchStep.id] ||
+    results.some(result => result.step === patchStep && result.status === 'failed')));
+
+  console.log('\n🔍 Verifying patched code...');
+  const verification = verifyOutput(content, patched, { detections, results, colors, version });
+  report.set({
+    verification: {
+      ok: verification.ok,
+      syntax: verification.syntax.mode,
+      checks: verification.checks,
+      failures: verification.failures,
+    },
+  });
+  if (!verification.ok) {
+    console.error('❌ Verification failed; cli.js was not modified:');
+    for (const failure of verification.failures) console.error(`   • ${failure}`);
+    process.exit(EXIT.VERIFICATION_FAILED);
+  }
+  if (verification.syntax.mode === 'unchecked') {
+    console.log(`   ⚠️  Syntax not checked: ${verification.syntax.error}`);
+  } else {
+    console.log(`   ✅ Compiles as ${verification.syntax.mode === 'module' ? 'an ES module' : 'a script'}`);
+  }
+  console.log(`   ✅ Re-detected as patched: ${verification.checks.join(', ')}`);
+
+  let output = markers.stampMarker(patched, buildMarkerMeta(content, patched, results, colors, detections));
+  let written = { engine: 'regex', patched, missing };
+  if (options.engine === 'both') {
+    const { agree, ast } = crossCheckEngines(cliPath, content, { patched, detections }, colors, selected);
+    if (!agree && !options.prefer) {
+      report.exitReason('The engines disagree');
+      console.error('\n❌ The engines disagree; nothing written. Pick one with --prefer=regex or --prefer=ast.');
+      process.exit(EXIT.ENGINES_DISAGREE);
+    }
+    if (options.prefer === 'ast') {
+      if (!ast.ok) {
+        console.error(`\n❌ --prefer=ast, but ${ast.error}`);
+        process.exit(ast.code ? EXIT.VERIFICATION_FAILED : EXIT.GENERAL_ERROR);
+      }
+      output = ast.output;
+      written = { engine: 'ast', patched: ast.code, missing: ast.missing.map(({ id }) => PATCH_STEPS.find(patchStep => patchStep.id === id)) };
+    }
+    if (!agree) console.log(`   ⚠️  Using the ${written.engine} engine's output (--prefer=${options.prefer})`);
+    report.set({ engine: written.engine });
+  }
+  if (command === 'diff') {
+    reviewChanges(cliPath, content, written.patched, output, options.emitPatch);
+  }
+
+  // Write changes
+  if (!options.dryRun && outPath) {
+    writeOrExit(io.describeTarget(outPath), () => io.writeOutput(outPath, output));
+    console.log(`\n✅ Patched output written to ${io.describeTarget(outPath)}`);
+    report.set({ output: { path: outPath, backup: null } });
+  } else if (!options.dryRun) {
+    sessions.checkRunningSessions(cliPath, options);
+    const backup = writeOrExit('backup', () => backups.createBackup(cliPath, content, version));
+    console.log(`\n💾 Backup ${backup.created ? 'created' : 'exists'}: ${backup.path}`);
+
+    writeOrExit(cliPath, () => atomicWrite(cliPath, output));
     console.log('✅ Patches applied successfully!');
-    console.log('\n🔄 Restart Claude Code for changes to take effect.');
+    report.set({ output: { path: cliPath, backup: backup.path } });
+    if (options.smoke && !smoke.runSmoke(cliPath, version, options)) {
+      process.exit(EXIT.VERIFICATION_FAILED);
+    }
+    config.rememberPatch(options, { engine: options.engine === 'both' ? 'both' : 'regex', version });
+    console.log('');
+    sessions.printRestartHint(cliPath);
+  } else if (command === 'diff') {
+    console.log('\n🔍 Nothing written. Run "thinker patch" with the same options to apply.');
   } else {
     console.log('\n🔍 Dry run complete. Run without --dry-run to apply patches.');
   }
+
+  if (written.missing.length > 0) {
+    report.exitReason(`Not applied: ${written.missing.map(patchStep => patchStep.id).join(', ')}`);
+    console.log(`\n⚠️  Partial patch; not applied: ${written.missing.map(patchStep => patchStep.label).join(', ')}`);
+    process.exit(EXIT.PARTIAL_PATCH);
+  }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  THEME_PRESETS,
+  COLOR_PRESETS,
+  RECIPES,
+  PATCH_STEPS,
+  getVersion,
+  getInstalledVersion,
+  classifyVersion,
+  resolveColors,
+  extractBannerFunction,
+  detectThinkingPattern,
+  extractThinkingComponent,
+  detectThinkingPatternV2,
+  detectExpandedHeader,
+  detectThinkingContentAnchored,
+  detectContentComponentFunction,
+  extractThinkingComponentV219,
+  detectThinkingPatternV219,
+  detectExpandedHeaderV219,
+  detectThinkingContentV219,
+  extractThinkingComponentV249,
+  detectThinkingPatternV249,
+  detectExpandedHeaderV269,
+  detectThinkingContentV249,
+  detectPatches,
+  applyPatches,
+  chooseEngine,
+  verifyPatches,
+  checkSyntax,
+  verifyOutput,
+  patchSource,
+};